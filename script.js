@@ -11,110 +11,1400 @@
 // Game Variables
 // ===============
 let gameRunning = false; // Is the game currently active?
-let dropMaker;           // Interval that creates drops
-let timerInterval;       // Interval that counts down time
-let score = 0;           // Player score
+let gamePaused = false;  // Is a running game paused?
+let score = 0;           // Player score (player one in two-player mode)
+let score2 = 0;          // Player two's score (two-player mode only)
+let twoPlayer = false;   // Is this round a two-player round?
+let lives = 0;           // Lives left (survival mode only)
+let survivalSeconds = 0; // Seconds survived so far (survival mode only)
+let survivalTier = 1;    // Difficulty tier reached (survival mode only)
 let timeLeft = 45;       // Seconds remaining
 
-// Pre-made messages to show at the end
-const winMessages = [
-  "Amazing! You brought clean water to the village!",
-  "You did it! Every drop counts!",
-  "Hydration hero! The community thanks you!",
-  "Way to go! You made waves of impact!"
-];
+// ==========
+// Safe Text
+// ==========
+// Text typed by players (or loaded from a link or a file) can contain "<".
+// Before it goes into innerHTML or other markup, escapeHtml() turns the
+// special characters into entities so the text can't add tags of its own.
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 
-const loseMessages = [
-  "So close! Try again and catch a few more drops.",
-  "Don't give up! Every try brings more clean water.",
-  "Keep at it! You're learning fast.",
-  "Almost there—give it another go!"
-];
+// =================
+// Seeded Randomness
+// =================
+// Every random choice that affects a run (drop type, size, position and the
+// end message) goes through random(), which draws from a seeded generator.
+// The same seed always produces the same sequence, which is what makes a run
+// reproducible and replayable.
+function createRng(seed) {
+  // mulberry32: a tiny, fast generator that is good enough for games
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Pick a fresh seed for a new run (the only place Math.random decides anything)
+function newSeed() {
+  return (Date.now() ^ Math.floor(Math.random() * 4294967296)) >>> 0;
+}
+
+let runSeed = newSeed();
+let rng = createRng(runSeed);
+let rngDraws = 0; // numbers drawn this run (a resumed round replays this many)
+
+// Returns a number from 0 (inclusive) to 1 (exclusive), like Math.random()
+function random() {
+  rngDraws++;
+  return rng();
+}
+
+// Recording & replay state (see the Replays section near the end of the file)
+let recordedEvents = []; // [step, type, value] for the current run
+let eventsLost = false;  // a resumed round whose inputs weren't saved can't make a replay
+let nextDropId = 0;      // numbers drops in spawn order
+let spawnCount = 0;      // spawn attempts this run (Daily rounds seed each one)
+let replayData = null;   // replay being played back (null during normal play)
+let replayIndex = 0;     // next recorded event to apply
+let lastReplay = null;   // most recent finished run, ready to watch or save
+let runSpeed = 1;        // drop speed factor for this run (from the game speed setting)
+
+// ===========
+// Game Events
+// ===========
+// A small event bus so other parts of the page can react to the game
+// without touching the game loop. The game calls emitGameEvent() at key
+// moments; anything can listen with onGameEvent(name, listener):
+// - game_started     { modeId, seed, players, replay }
+// - drop_spawned     { id, type, x, size }
+// - drop_caught      { id, type, good, change, player }
+// - drop_clicked     { id, type, good, change }
+// - drop_missed      { id, type, good }   (fell past the bottom)
+// - milestone_reached { score, milestone }
+// - weather_started  { name, seconds }
+// - weather_ended    { name }
+// - game_ended       { modeId, score, score2, won, replay, twoPlayer, survival, seconds, stats }
+const gameEventListeners = {};
+
+function onGameEvent(name, listener) {
+  if (!gameEventListeners[name]) gameEventListeners[name] = [];
+  gameEventListeners[name].push(listener);
+}
+
+function offGameEvent(name, listener) {
+  const list = gameEventListeners[name];
+  if (list) gameEventListeners[name] = list.filter((fn) => fn !== listener);
+}
+
+// Tell every listener. Each one runs in its own try/catch: the listeners
+// are separate features (history, achievements, classroom...), so a bug in
+// one must not stop the others from hearing about the event, or the game
+// loop that sent it.
+function emitGameEvent(name, detail) {
+  (gameEventListeners[name] || []).slice().forEach((listener) => {
+    try {
+      listener(detail);
+    } catch (e) {
+      // skip the broken listener and carry on with the rest
+    }
+  });
+}
+
+// =============
+// Localization
+// =============
+// Every piece of player-facing text lives in these catalogs, one per
+// language. t('key', { name: value }) looks a key up in the current language,
+// fills in {name} placeholders, and falls back to English when a key is
+// missing. A value can also be:
+// - an array (e.g. the end messages), read with tList()
+// - an object of plural forms ({ one, other }), picked by params.count
+// In index.html, data-i18n="key" sets an element's text and
+// data-i18n-aria-label / data-i18n-alt / data-i18n-placeholder set attributes.
+const LANGUAGE_KEY = 'wd_language';
+const languageNames = { en: 'English', es: 'Español', fr: 'Français' };
+const catalogs = {
+  en: {
+    'page.title': 'Water Drop Game',
+    'page.tagline': 'Catch the good drops, avoid the bad ones!',
+    'page.sideLeft': 'charity: water brings clean water to communities in need. Learn more and support the cause.',
+    'page.sideRight': 'Your score helps spread awareness — consider visiting charity:water to donate.',
+    'page.cta': 'Help bring clean water to communities in need.',
+    'page.donate': 'Donate',
+    'page.language': 'Language',
+    'page.canAlt': 'Water can. Press Enter to start, then use the arrow keys to move.',
+    'hud.score': 'Score:',
+    'hud.time': 'Time:',
+    'hud.seconds': 's',
+    'hud.goal': 'Goal:',
+    'hud.points': 'pts',
+    'hud.difficulty': 'Difficulty',
+    'hud.chooseDifficulty': 'Choose difficulty',
+    'hud.effects': 'Active power-ups',
+    'buttons.start': 'Start Game',
+    'buttons.pause': 'Pause',
+    'buttons.resume': 'Resume',
+    'buttons.reset': 'Reset',
+    'buttons.mute': 'Mute',
+    'buttons.unmute': 'Unmute',
+    'buttons.loadReplay': 'Load Replay',
+    'buttons.custom': 'Custom…',
+    'buttons.playAgain': 'Play Again',
+    'buttons.tryNewMode': 'Try a New Mode',
+    'buttons.watchReplay': 'Watch Replay',
+    'buttons.saveReplay': 'Save Replay',
+    'buttons.restart': 'Restart',
+    'buttons.quit': 'Quit',
+    'modes.Easy': 'Easy',
+    'modes.Normal': 'Normal',
+    'modes.Hard': 'Hard',
+    'modes.customGroup': 'Custom',
+    'modes.customDefault': 'Custom',
+    'milestones.Easy.0': 'Nice start! 3 points!',
+    'milestones.Easy.1': 'Keep going — 6 points!',
+    'milestones.Easy.2': 'You reached 12 — great job!',
+    'milestones.Normal.0': 'Nice start! 5 points!',
+    'milestones.Normal.1': 'Halfway there!',
+    'milestones.Normal.2': 'Great work — 20 points!',
+    'milestones.Hard.0': 'Brave start — 5 points!',
+    'milestones.Hard.1': 'On fire — 15 points!',
+    'milestones.Hard.2': 'Unstoppable — 28 points!',
+    'milestones.custom': { one: 'Milestone — {count} point!', other: 'Milestone — {count} points!' },
+    'end.title': 'Game Over',
+    'end.won': 'You reached {score}/{goal} — {mode} mode!',
+    'end.lost': 'You scored {score}/{goal} — {mode} mode',
+    'end.win': [
+      'Amazing! You brought clean water to the village!',
+      'You did it! Every drop counts!',
+      'Hydration hero! The community thanks you!',
+      'Way to go! You made waves of impact!'
+    ],
+    'end.lose': [
+      'So close! Try again and catch a few more drops.',
+      "Don't give up! Every try brings more clean water.",
+      "Keep at it! You're learning fast.",
+      'Almost there—give it another go!'
+    ],
+    'replay.check': 'Replay score {score} — recorded {recorded}',
+    'replay.badFile': 'That file is not a Water Drop replay.',
+    'popup.blocked': 'Blocked!',
+    'streak.count': { one: '{count} streak', other: '{count} streak' },
+    'streak.multiplied': 'x{multiplier} · {streak}',
+    'stats.caught': 'Caught by can',
+    'stats.clicked': 'Clicked',
+    'stats.badHits': 'Bad drops hit',
+    'stats.missed': 'Good drops missed',
+    'stats.longest': 'Longest streak',
+    'stats.accuracy': 'Accuracy',
+    'stats.bySize': 'Points by size',
+    'stats.sizes': 'S {small} · M {medium} · L {large}',
+    'effects.wide': 'Wide can',
+    'effects.shield': 'Shield',
+    'effects.magnet': 'Magnet',
+    'effects.timer': '{label} {seconds}s',
+    'leaderboard.prompt': 'New high score! Enter your initials:',
+    'leaderboard.save': 'Save',
+    'leaderboard.title': 'Top {size} — {mode}',
+    'leaderboard.empty': 'No {mode} scores yet.',
+    'leaderboard.rank': '#',
+    'leaderboard.name': 'Name',
+    'leaderboard.score': 'Score',
+    'leaderboard.result': 'Result',
+    'leaderboard.date': 'Date',
+    'leaderboard.win': 'Win',
+    'leaderboard.loss': 'Loss',
+    'leaderboard.export': 'Export',
+    'leaderboard.import': 'Import',
+    'leaderboard.clear': 'Clear scores',
+    'leaderboard.confirmClear': 'Clear all {mode} scores?',
+    'leaderboard.badFile': 'That file is not a Water Drop scores export.',
+    'pause.title': 'Paused',
+    'pause.hint': 'Press {pause} or Esc to keep playing.',
+    'editor.title': 'Custom Mode',
+    'editor.name': 'Name',
+    'editor.time': 'Time (seconds)',
+    'editor.goal': 'Goal (points)',
+    'editor.spawn': 'Spawn every (ms)',
+    'editor.cap': 'Max drops on screen',
+    'editor.bad': 'Bad-drop chance (%)',
+    'editor.milestones': 'Milestones (comma list)',
+    'editor.scale': 'Time scaling max (%)',
+    'editor.bump': 'Milestone bump (%)',
+    'editor.save': 'Save & Use',
+    'editor.share': 'Copy Share Link',
+    'editor.delete': 'Delete',
+    'editor.close': 'Close',
+    'editor.copied': 'Share link copied!',
+    'editor.defaultName': 'My {mode}',
+    'sound.title': 'Sound',
+    'sound.master': 'Master volume',
+    'sound.effects': 'Effects',
+    'sound.music': 'Music',
+    'sound.theme': 'Sound theme',
+    'sound.musicToggle': 'Background music',
+    'sound.themes.classic': 'Classic chimes',
+    'sound.themes.arcade': 'Arcade blips',
+    'sound.themes.rain': 'Soft rain',
+    'a11y.title': 'Accessibility',
+    'a11y.announce': 'Screen reader announcements',
+    'a11y.markers': 'Shape markers on drops',
+    'a11y.reducedMotion': 'Reduced motion',
+    'a11y.speed': 'Game speed',
+    'a11y.hint': 'Keyboard: Tab to the can and press {start} to start, {left} and {right} to move, {pause} or Esc to pause.',
+    'buttons.trophies': 'Trophies',
+    'achievements.title': 'Trophy Case',
+    'achievements.unlocked': 'Achievement unlocked: {name}',
+    'achievements.unlockedOn': 'Unlocked {date}',
+    'achievements.locked': 'Locked',
+    'achievements.count': '{count} of {total} unlocked',
+    'achievements.first-win.name': 'First Splash',
+    'achievements.first-win.desc': 'Win a round in any mode.',
+    'achievements.win-hard.name': 'Storm Chaser',
+    'achievements.win-hard.desc': 'Win a round on Hard.',
+    'achievements.streak-10.name': 'Steady Hands',
+    'achievements.streak-10.desc': 'Catch 10 good drops in a row without a bad drop.',
+    'achievements.no-clicks.name': 'Hands Off',
+    'achievements.no-clicks.desc': 'Finish a round using only the can — no clicking.',
+    'achievements.all-modes.name': 'Explorer',
+    'achievements.all-modes.desc': 'Play Easy, Normal and Hard.',
+    'achievements.drops-1000.name': 'Reservoir',
+    'achievements.drops-1000.desc': 'Collect 1,000 good drops in total.',
+    'impact.title': 'Your impact so far',
+    'impact.drops': { one: '{value} drop collected', other: '{value} drops collected' },
+    'impact.liters': { one: '≈ {value} liter of clean water', other: '≈ {value} liters of clean water' },
+    'impact.familyDays': { one: '≈ {value} day of water for a family', other: '≈ {value} days of water for a family' },
+    'impact.round': { one: 'This round: {drops} drop ≈ {liters} liters of clean water.', other: 'This round: {drops} drops ≈ {liters} liters of clean water.' },
+    'facts.title': 'Did you know?',
+    'facts.win': [
+      'A single water project can serve a whole community for years when it is maintained locally.',
+      'Clean water close to home gives kids more time for school instead of long walks to collect it.',
+      'Every dollar invested in water and sanitation can return several dollars in better health and productivity.',
+      'Rainwater catchments collect water from rooftops and store it for the dry season.'
+    ],
+    'facts.lose': [
+      'About 703 million people around the world still live without clean water.',
+      'Women and girls spend an estimated 200 million hours every day collecting water.',
+      'Diseases from dirty water affect more people than all forms of violence combined.',
+      'In many places a round trip to collect water can take hours — and the water may still be unsafe.'
+    ],
+    'buttons.share': 'Share',
+    'share.title': 'Share your result',
+    'share.now': 'Share',
+    'share.download': 'Download SVG',
+    'share.won': 'Goal reached!',
+    'share.played': 'Every drop counts!',
+    'share.details': '{mode} mode · best streak {streak}',
+    'share.text': 'I scored {score}/{goal} in Water Drop ({mode} mode)! Help bring clean water to communities in need.',
+    'share.copied': 'Result copied to the clipboard!',
+    'hud.player1': 'P1:',
+    'hud.player2': 'P2:',
+    'hud.players': 'Players',
+    'players.one': '1 player',
+    'players.two': '2 players',
+    'page.can2Alt': 'Player two water can',
+    'end.player1Wins': 'Player 1 wins!',
+    'end.player2Wins': 'Player 2 wins!',
+    'end.tie': "It's a tie!",
+    'end.twoScores': 'Player 1: {one}/{goal} · Player 2: {two}/{goal} — {mode} mode',
+    'end.twoScoresSurvival': 'Player 1: {one} · Player 2: {two} — {mode} mode',
+    'announce.twoScores': 'Player 1 {one}, player 2 {two}',
+    'modes.Daily': 'Daily',
+    'daily.scored': 'Daily challenge scored: {score} points',
+    'daily.practice': 'Practice round — your scored attempt for today is used.',
+    'daily.streak': { one: '{count}-day streak', other: '{count}-day streak' },
+    'daily.best': 'best {score}',
+    'daily.next': 'Next challenge in',
+    'modes.Survival': 'Survival',
+    'survival.lives': { one: '{count} life left', other: '{count} lives left' },
+    'survival.lastLife': 'Last life!',
+    'survival.tierUp': 'Tier {tier} — faster drops!',
+    'survival.result': 'You survived {time} and reached tier {tier} ({score} points)',
+    'survival.resultTwo': 'Together you survived {time} and reached tier {tier}',
+    'survival.newBest': 'New best survival time!',
+    'survival.best': 'Best: {time} (tier {tier})',
+    'buttons.stats': 'Stats',
+    'stats.title': 'Your Stats',
+    'stats.mode': 'Mode',
+    'stats.scoreOverTime': 'Score over time — {mode}',
+    'stats.chartLabel': { one: 'Scores of the last {count} run', other: 'Scores of the last {count} runs' },
+    'stats.winRate': 'Win rate',
+    'stats.badRate': 'Bad-drop hit rate',
+    'stats.runsStored': { one: '{count} run saved on this device.', other: '{count} runs saved on this device.' },
+    'stats.noHistory': 'Play a round to start your history.',
+    'stats.clear': 'Clear history',
+    'stats.confirmClear': 'Clear your whole run history?',
+    'buttons.install': 'Install',
+    'update.ready': 'A new version is ready.',
+    'update.reload': 'Reload',
+    'editor.weather': 'Weather every (seconds, 0 = off)',
+    'weather.wind': 'Wind',
+    'weather.storm': 'Storm',
+    'weather.drought': 'Drought',
+    'weather.acidRain': 'Acid rain',
+    'weather.windStart': 'Wind gust! Drops are blowing sideways',
+    'weather.stormStart': 'Storm! A burst of drops is coming',
+    'weather.droughtStart': 'Drought! Fewer drops, but each is worth double',
+    'weather.acidRainStart': 'Acid rain! Watch out for bad drops',
+    'buttons.classroom': 'Facilitator',
+    'classroom.title': 'Facilitator',
+    'classroom.pin': 'PIN',
+    'classroom.pinChoose': 'No facilitator PIN yet. Set a 4–8 digit PIN now: you will need it to open this panel again.',
+    'classroom.pinConfirm': 'Repeat the PIN',
+    'classroom.pinMismatch': "The two PINs don't match.",
+    'classroom.setPin': 'Set PIN',
+    'classroom.pinEnter': 'Enter the facilitator PIN.',
+    'classroom.pinFormat': 'The PIN must be 4 to 8 digits.',
+    'classroom.wrongPin': 'Wrong PIN.',
+    'classroom.unlock': 'Unlock',
+    'classroom.enabled': 'Classroom mode on',
+    'classroom.lockMode': 'Lock the mode',
+    'classroom.mode': 'Mode',
+    'classroom.time': "Time override (seconds, 0 = mode's own)",
+    'classroom.goal': "Goal override (points, 0 = mode's own)",
+    'classroom.roster': 'Players (one name per line)',
+    'classroom.winMessages': 'Win messages (one per line, empty = default)',
+    'classroom.loseMessages': 'Lose messages (one per line, empty = default)',
+    'classroom.newPin': 'New PIN (optional)',
+    'classroom.save': 'Save',
+    'classroom.saved': 'Saved!',
+    'classroom.export': 'Export CSV',
+    'classroom.clear': 'Clear results',
+    'classroom.confirmClear': "Clear this session's results?",
+    'classroom.noResults': 'No results to export yet.',
+    'classroom.results': { one: '{count} round saved this session', other: '{count} rounds saved this session' },
+    'classroom.nowPlaying': 'Now playing: {name}',
+    'classroom.nextUp': 'Saved for {saved}. Next up: {next}',
+    'themes.label': 'Theme',
+    'themes.default': 'charity: water',
+    'themes.dark': 'Dark',
+    'themes.highContrast': 'High contrast',
+    'controls.title': 'Controls',
+    'controls.left': 'Move left',
+    'controls.right': 'Move right',
+    'controls.pause': 'Pause',
+    'controls.start': 'Start',
+    'controls.p1Left': 'Player 1 left (2 players)',
+    'controls.p1Right': 'Player 1 right (2 players)',
+    'controls.pressKey': 'Press a key…',
+    'controls.speed': 'Move speed',
+    'controls.mouseFollow': 'Can follows the mouse',
+    'controls.reset': 'Reset controls',
+    'controls.noGamepad': 'Gamepad: connect one and press any button (stick or d-pad moves, A starts, Start pauses).',
+    'controls.gamepads': { one: '{count} gamepad connected: stick or d-pad moves, A starts, Start pauses.', other: '{count} gamepads connected (one per player): stick or d-pad moves, A starts, Start pauses.' },
+    'keys.space': 'Space',
+    'keys.enter': 'Enter',
+    'resume.title': 'Finish your round?',
+    'resume.summary': '{mode} · Score {score} · {time}',
+    'resume.timeLeft': '{seconds}s left',
+    'resume.survived': '{time} survived',
+    'resume.resume': 'Resume round',
+    'resume.discard': 'Start over',
+    'announce.score': 'Score {score}',
+    'announce.time': { one: '{count} second left', other: '{count} seconds left' },
+    'announce.badLeft': 'Bad drop above, move left',
+    'announce.badRight': 'Bad drop above, move right'
+  },
+  es: {
+    'page.title': 'Juego Gota de Agua',
+    'page.tagline': '¡Atrapa las gotas buenas y evita las malas!',
+    'page.sideLeft': 'charity: water lleva agua limpia a comunidades que la necesitan. Infórmate y apoya la causa.',
+    'page.sideRight': 'Tu puntuación ayuda a crear conciencia: considera visitar charity:water para donar.',
+    'page.cta': 'Ayuda a llevar agua limpia a comunidades que la necesitan.',
+    'page.donate': 'Donar',
+    'page.language': 'Idioma',
+    'page.canAlt': 'Regadera. Pulsa Intro para empezar y usa las flechas para moverla.',
+    'hud.score': 'Puntos:',
+    'hud.time': 'Tiempo:',
+    'hud.seconds': 's',
+    'hud.goal': 'Meta:',
+    'hud.points': 'pts',
+    'hud.difficulty': 'Dificultad',
+    'hud.chooseDifficulty': 'Elige la dificultad',
+    'hud.effects': 'Potenciadores activos',
+    'buttons.start': 'Empezar',
+    'buttons.pause': 'Pausa',
+    'buttons.resume': 'Continuar',
+    'buttons.reset': 'Reiniciar',
+    'buttons.mute': 'Silenciar',
+    'buttons.unmute': 'Activar sonido',
+    'buttons.loadReplay': 'Cargar repetición',
+    'buttons.custom': 'Personalizar…',
+    'buttons.playAgain': 'Jugar otra vez',
+    'buttons.tryNewMode': 'Probar otro modo',
+    'buttons.watchReplay': 'Ver repetición',
+    'buttons.saveReplay': 'Guardar repetición',
+    'buttons.restart': 'Reiniciar',
+    'buttons.quit': 'Salir',
+    'modes.Easy': 'Fácil',
+    'modes.Normal': 'Normal',
+    'modes.Hard': 'Difícil',
+    'modes.customGroup': 'Personalizados',
+    'modes.customDefault': 'Personalizado',
+    'milestones.Easy.0': '¡Buen comienzo! ¡3 puntos!',
+    'milestones.Easy.1': 'Sigue así: ¡6 puntos!',
+    'milestones.Easy.2': 'Llegaste a 12: ¡muy bien!',
+    'milestones.Normal.0': '¡Buen comienzo! ¡5 puntos!',
+    'milestones.Normal.1': '¡Vas por la mitad!',
+    'milestones.Normal.2': 'Gran trabajo: ¡20 puntos!',
+    'milestones.Hard.0': 'Comienzo valiente: ¡5 puntos!',
+    'milestones.Hard.1': 'Imparable: ¡15 puntos!',
+    'milestones.Hard.2': 'Increíble: ¡28 puntos!',
+    'milestones.custom': { one: 'Hito: ¡{count} punto!', other: 'Hito: ¡{count} puntos!' },
+    'end.title': 'Fin del juego',
+    'end.won': '¡Llegaste a {score}/{goal} en modo {mode}!',
+    'end.lost': 'Obtuviste {score}/{goal} en modo {mode}',
+    'end.win': [
+      '¡Increíble! ¡Llevaste agua limpia a la aldea!',
+      '¡Lo lograste! ¡Cada gota cuenta!',
+      '¡Héroe de la hidratación! ¡La comunidad te lo agradece!',
+      '¡Bien hecho! ¡Tu impacto se nota!'
+    ],
+    'end.lose': [
+      '¡Casi! Inténtalo otra vez y atrapa unas gotas más.',
+      '¡No te rindas! Cada intento trae más agua limpia.',
+      '¡Sigue así! Aprendes rápido.',
+      'Ya casi: ¡inténtalo de nuevo!'
+    ],
+    'replay.check': 'Puntuación de la repetición {score} — grabada {recorded}',
+    'replay.badFile': 'Ese archivo no es una repetición de Gota de Agua.',
+    'popup.blocked': '¡Bloqueada!',
+    'streak.count': { one: 'racha de {count}', other: 'racha de {count}' },
+    'streak.multiplied': 'x{multiplier} · {streak}',
+    'stats.caught': 'Atrapadas con la regadera',
+    'stats.clicked': 'Con clic',
+    'stats.badHits': 'Gotas malas tocadas',
+    'stats.missed': 'Gotas buenas perdidas',
+    'stats.longest': 'Racha más larga',
+    'stats.accuracy': 'Precisión',
+    'stats.bySize': 'Puntos por tamaño',
+    'stats.sizes': 'P {small} · M {medium} · G {large}',
+    'effects.wide': 'Regadera ancha',
+    'effects.shield': 'Escudo',
+    'effects.magnet': 'Imán',
+    'effects.timer': '{label} {seconds}s',
+    'leaderboard.prompt': '¡Nuevo récord! Escribe tus iniciales:',
+    'leaderboard.save': 'Guardar',
+    'leaderboard.title': 'Top {size} — {mode}',
+    'leaderboard.empty': 'Aún no hay puntuaciones en {mode}.',
+    'leaderboard.rank': '#',
+    'leaderboard.name': 'Nombre',
+    'leaderboard.score': 'Puntos',
+    'leaderboard.result': 'Resultado',
+    'leaderboard.date': 'Fecha',
+    'leaderboard.win': 'Victoria',
+    'leaderboard.loss': 'Derrota',
+    'leaderboard.export': 'Exportar',
+    'leaderboard.import': 'Importar',
+    'leaderboard.clear': 'Borrar puntuaciones',
+    'leaderboard.confirmClear': '¿Borrar todas las puntuaciones de {mode}?',
+    'leaderboard.badFile': 'Ese archivo no es una exportación de puntuaciones de Gota de Agua.',
+    'pause.title': 'En pausa',
+    'pause.hint': 'Pulsa {pause} o Esc para seguir jugando.',
+    'editor.title': 'Modo personalizado',
+    'editor.name': 'Nombre',
+    'editor.time': 'Tiempo (segundos)',
+    'editor.goal': 'Meta (puntos)',
+    'editor.spawn': 'Nueva gota cada (ms)',
+    'editor.cap': 'Máximo de gotas en pantalla',
+    'editor.bad': 'Probabilidad de gota mala (%)',
+    'editor.milestones': 'Hitos (separados por comas)',
+    'editor.scale': 'Aumento máximo por tiempo (%)',
+    'editor.bump': 'Aumento por hito (%)',
+    'editor.save': 'Guardar y usar',
+    'editor.share': 'Copiar enlace',
+    'editor.delete': 'Eliminar',
+    'editor.close': 'Cerrar',
+    'editor.copied': '¡Enlace copiado!',
+    'editor.defaultName': 'Mi {mode}',
+    'sound.title': 'Sonido',
+    'sound.master': 'Volumen general',
+    'sound.effects': 'Efectos',
+    'sound.music': 'Música',
+    'sound.theme': 'Tema de sonido',
+    'sound.musicToggle': 'Música de fondo',
+    'sound.themes.classic': 'Campanas clásicas',
+    'sound.themes.arcade': 'Pitidos arcade',
+    'sound.themes.rain': 'Lluvia suave',
+    'a11y.title': 'Accesibilidad',
+    'a11y.announce': 'Anuncios para lector de pantalla',
+    'a11y.markers': 'Marcas de forma en las gotas',
+    'a11y.reducedMotion': 'Movimiento reducido',
+    'a11y.speed': 'Velocidad del juego',
+    'a11y.hint': 'Teclado: con Tab ve a la regadera y pulsa {start} para empezar, {left} y {right} para moverte, {pause} o Esc para pausar.',
+    'buttons.trophies': 'Trofeos',
+    'achievements.title': 'Vitrina de trofeos',
+    'achievements.unlocked': 'Logro desbloqueado: {name}',
+    'achievements.unlockedOn': 'Desbloqueado el {date}',
+    'achievements.locked': 'Bloqueado',
+    'achievements.count': '{count} de {total} desbloqueados',
+    'achievements.first-win.name': 'Primer chapuzón',
+    'achievements.first-win.desc': 'Gana una ronda en cualquier modo.',
+    'achievements.win-hard.name': 'Cazatormentas',
+    'achievements.win-hard.desc': 'Gana una ronda en Difícil.',
+    'achievements.streak-10.name': 'Pulso firme',
+    'achievements.streak-10.desc': 'Atrapa 10 gotas buenas seguidas sin tocar una mala.',
+    'achievements.no-clicks.name': 'Sin manos',
+    'achievements.no-clicks.desc': 'Termina una ronda usando solo la regadera, sin clics.',
+    'achievements.all-modes.name': 'Explorador',
+    'achievements.all-modes.desc': 'Juega en Fácil, Normal y Difícil.',
+    'achievements.drops-1000.name': 'Embalse',
+    'achievements.drops-1000.desc': 'Recoge 1.000 gotas buenas en total.',
+    'impact.title': 'Tu impacto hasta ahora',
+    'impact.drops': { one: '{value} gota recogida', other: '{value} gotas recogidas' },
+    'impact.liters': { one: '≈ {value} litro de agua limpia', other: '≈ {value} litros de agua limpia' },
+    'impact.familyDays': { one: '≈ {value} día de agua para una familia', other: '≈ {value} días de agua para una familia' },
+    'impact.round': { one: 'Esta ronda: {drops} gota ≈ {liters} litros de agua limpia.', other: 'Esta ronda: {drops} gotas ≈ {liters} litros de agua limpia.' },
+    'facts.title': '¿Sabías que…?',
+    'facts.win': [
+      'Un solo proyecto de agua puede abastecer a toda una comunidad durante años si se mantiene localmente.',
+      'Tener agua limpia cerca de casa da a los niños más tiempo para la escuela en lugar de largas caminatas para buscarla.',
+      'Cada dólar invertido en agua y saneamiento puede devolver varios dólares en mejor salud y productividad.',
+      'Los sistemas de captación recogen el agua de lluvia de los techos y la guardan para la temporada seca.'
+    ],
+    'facts.lose': [
+      'Unos 703 millones de personas en el mundo todavía viven sin agua limpia.',
+      'Mujeres y niñas dedican unos 200 millones de horas cada día a buscar agua.',
+      'Las enfermedades por agua sucia afectan a más personas que todas las formas de violencia juntas.',
+      'En muchos lugares ir a buscar agua puede llevar horas, y aun así el agua puede no ser segura.'
+    ],
+    'buttons.share': 'Compartir',
+    'share.title': 'Comparte tu resultado',
+    'share.now': 'Compartir',
+    'share.download': 'Descargar SVG',
+    'share.won': '¡Meta alcanzada!',
+    'share.played': '¡Cada gota cuenta!',
+    'share.details': 'Modo {mode} · mejor racha {streak}',
+    'share.text': '¡Hice {score}/{goal} en Gota de Agua (modo {mode})! Ayuda a llevar agua limpia a comunidades que la necesitan.',
+    'share.copied': '¡Resultado copiado al portapapeles!',
+    'hud.player1': 'J1:',
+    'hud.player2': 'J2:',
+    'hud.players': 'Jugadores',
+    'players.one': '1 jugador',
+    'players.two': '2 jugadores',
+    'page.can2Alt': 'Regadera del jugador 2',
+    'end.player1Wins': '¡Gana el jugador 1!',
+    'end.player2Wins': '¡Gana el jugador 2!',
+    'end.tie': '¡Empate!',
+    'end.twoScores': 'Jugador 1: {one}/{goal} · Jugador 2: {two}/{goal} — modo {mode}',
+    'end.twoScoresSurvival': 'Jugador 1: {one} · Jugador 2: {two} — modo {mode}',
+    'announce.twoScores': 'Jugador 1 {one}, jugador 2 {two}',
+    'modes.Daily': 'Diario',
+    'daily.scored': 'Reto diario registrado: {score} puntos',
+    'daily.practice': 'Ronda de práctica: ya usaste tu intento de hoy.',
+    'daily.streak': { one: 'racha de {count} día', other: 'racha de {count} días' },
+    'daily.best': 'mejor {score}',
+    'daily.next': 'Próximo reto en',
+    'modes.Survival': 'Supervivencia',
+    'survival.lives': { one: 'Te queda {count} vida', other: 'Te quedan {count} vidas' },
+    'survival.lastLife': '¡Última vida!',
+    'survival.tierUp': 'Nivel {tier}: ¡gotas más rápidas!',
+    'survival.result': 'Sobreviviste {time} y llegaste al nivel {tier} ({score} puntos)',
+    'survival.resultTwo': 'Juntos sobrevivieron {time} y llegaron al nivel {tier}',
+    'survival.newBest': '¡Nuevo récord de supervivencia!',
+    'survival.best': 'Récord: {time} (nivel {tier})',
+    'buttons.stats': 'Estadísticas',
+    'stats.title': 'Tus estadísticas',
+    'stats.mode': 'Modo',
+    'stats.scoreOverTime': 'Puntuación a lo largo del tiempo — {mode}',
+    'stats.chartLabel': { one: 'Puntuación de la última ronda', other: 'Puntuaciones de las últimas {count} rondas' },
+    'stats.winRate': 'Porcentaje de victorias',
+    'stats.badRate': 'Gotas malas tocadas',
+    'stats.runsStored': { one: '{count} ronda guardada en este dispositivo.', other: '{count} rondas guardadas en este dispositivo.' },
+    'stats.noHistory': 'Juega una ronda para empezar tu historial.',
+    'stats.clear': 'Borrar historial',
+    'stats.confirmClear': '¿Borrar todo tu historial de rondas?',
+    'buttons.install': 'Instalar',
+    'update.ready': 'Hay una nueva versión lista.',
+    'update.reload': 'Recargar',
+    'editor.weather': 'Clima cada (segundos, 0 = nunca)',
+    'weather.wind': 'Viento',
+    'weather.storm': 'Tormenta',
+    'weather.drought': 'Sequía',
+    'weather.acidRain': 'Lluvia ácida',
+    'weather.windStart': '¡Ráfaga de viento! Las gotas se desvían',
+    'weather.stormStart': '¡Tormenta! Llega una ráfaga de gotas',
+    'weather.droughtStart': '¡Sequía! Menos gotas, pero cada una vale el doble',
+    'weather.acidRainStart': '¡Lluvia ácida! Cuidado con las gotas malas',
+    'buttons.classroom': 'Facilitador',
+    'classroom.title': 'Facilitador',
+    'classroom.pin': 'PIN',
+    'classroom.pinChoose': 'Todavía no hay PIN de facilitador. Elige ahora un PIN de 4 a 8 dígitos: lo necesitarás para volver a abrir este panel.',
+    'classroom.pinConfirm': 'Repite el PIN',
+    'classroom.pinMismatch': 'Los dos PIN no coinciden.',
+    'classroom.setPin': 'Guardar PIN',
+    'classroom.pinEnter': 'Escribe el PIN del facilitador.',
+    'classroom.pinFormat': 'El PIN debe tener de 4 a 8 dígitos.',
+    'classroom.wrongPin': 'PIN incorrecto.',
+    'classroom.unlock': 'Desbloquear',
+    'classroom.enabled': 'Modo aula activado',
+    'classroom.lockMode': 'Bloquear el modo',
+    'classroom.mode': 'Modo',
+    'classroom.time': 'Tiempo fijo (segundos, 0 = el del modo)',
+    'classroom.goal': 'Meta fija (puntos, 0 = la del modo)',
+    'classroom.roster': 'Jugadores (un nombre por línea)',
+    'classroom.winMessages': 'Mensajes de victoria (uno por línea, vacío = predeterminados)',
+    'classroom.loseMessages': 'Mensajes de derrota (uno por línea, vacío = predeterminados)',
+    'classroom.newPin': 'Nuevo PIN (opcional)',
+    'classroom.save': 'Guardar',
+    'classroom.saved': '¡Guardado!',
+    'classroom.export': 'Exportar CSV',
+    'classroom.clear': 'Borrar resultados',
+    'classroom.confirmClear': '¿Borrar los resultados de esta sesión?',
+    'classroom.noResults': 'Todavía no hay resultados para exportar.',
+    'classroom.results': { one: '{count} ronda guardada en esta sesión', other: '{count} rondas guardadas en esta sesión' },
+    'classroom.nowPlaying': 'Juega: {name}',
+    'classroom.nextUp': 'Guardado para {saved}. Sigue: {next}',
+    'themes.label': 'Tema',
+    'themes.default': 'charity: water',
+    'themes.dark': 'Oscuro',
+    'themes.highContrast': 'Alto contraste',
+    'controls.title': 'Controles',
+    'controls.left': 'Mover a la izquierda',
+    'controls.right': 'Mover a la derecha',
+    'controls.pause': 'Pausa',
+    'controls.start': 'Empezar',
+    'controls.p1Left': 'Jugador 1 izquierda (2 jugadores)',
+    'controls.p1Right': 'Jugador 1 derecha (2 jugadores)',
+    'controls.pressKey': 'Pulsa una tecla…',
+    'controls.speed': 'Velocidad de movimiento',
+    'controls.mouseFollow': 'La regadera sigue al ratón',
+    'controls.reset': 'Restablecer controles',
+    'controls.noGamepad': 'Mando: conecta uno y pulsa cualquier botón (palanca o cruceta para moverte, A para empezar, Start para pausar).',
+    'controls.gamepads': { one: '{count} mando conectado: palanca o cruceta para moverte, A para empezar, Start para pausar.', other: '{count} mandos conectados (uno por jugador): palanca o cruceta para moverte, A para empezar, Start para pausar.' },
+    'keys.space': 'Espacio',
+    'keys.enter': 'Intro',
+    'resume.title': '¿Terminar tu ronda?',
+    'resume.summary': '{mode} · Puntos {score} · {time}',
+    'resume.timeLeft': 'quedan {seconds} s',
+    'resume.survived': '{time} sobrevividos',
+    'resume.resume': 'Reanudar ronda',
+    'resume.discard': 'Empezar de nuevo',
+    'announce.score': 'Puntos {score}',
+    'announce.time': { one: 'Queda {count} segundo', other: 'Quedan {count} segundos' },
+    'announce.badLeft': 'Gota mala encima, muévete a la izquierda',
+    'announce.badRight': 'Gota mala encima, muévete a la derecha'
+  },
+  fr: {
+    'page.title': 'Jeu Goutte d’eau',
+    'page.tagline': 'Attrape les bonnes gouttes, évite les mauvaises !',
+    'page.sideLeft': 'charity: water apporte de l’eau potable aux communautés qui en ont besoin. Découvre et soutiens la cause.',
+    'page.sideRight': 'Ton score aide à sensibiliser — pense à visiter charity:water pour faire un don.',
+    'page.cta': 'Aide à apporter de l’eau potable aux communautés dans le besoin.',
+    'page.donate': 'Faire un don',
+    'page.language': 'Langue',
+    'page.canAlt': 'Arrosoir. Appuie sur Entrée pour commencer, puis utilise les flèches pour le déplacer.',
+    'hud.score': 'Score :',
+    'hud.time': 'Temps :',
+    'hud.seconds': 's',
+    'hud.goal': 'Objectif :',
+    'hud.points': 'pts',
+    'hud.difficulty': 'Difficulté',
+    'hud.chooseDifficulty': 'Choisis la difficulté',
+    'hud.effects': 'Bonus actifs',
+    'buttons.start': 'Jouer',
+    'buttons.pause': 'Pause',
+    'buttons.resume': 'Reprendre',
+    'buttons.reset': 'Réinitialiser',
+    'buttons.mute': 'Couper le son',
+    'buttons.unmute': 'Rétablir le son',
+    'buttons.loadReplay': 'Charger un replay',
+    'buttons.custom': 'Personnaliser…',
+    'buttons.playAgain': 'Rejouer',
+    'buttons.tryNewMode': 'Changer de mode',
+    'buttons.watchReplay': 'Voir le replay',
+    'buttons.saveReplay': 'Enregistrer le replay',
+    'buttons.restart': 'Recommencer',
+    'buttons.quit': 'Quitter',
+    'modes.Easy': 'Facile',
+    'modes.Normal': 'Normal',
+    'modes.Hard': 'Difficile',
+    'modes.customGroup': 'Personnalisés',
+    'modes.customDefault': 'Personnalisé',
+    'milestones.Easy.0': 'Bon début ! 3 points !',
+    'milestones.Easy.1': 'Continue — 6 points !',
+    'milestones.Easy.2': 'Tu as atteint 12 — bravo !',
+    'milestones.Normal.0': 'Bon début ! 5 points !',
+    'milestones.Normal.1': 'À mi-chemin !',
+    'milestones.Normal.2': 'Super travail — 20 points !',
+    'milestones.Hard.0': 'Départ courageux — 5 points !',
+    'milestones.Hard.1': 'En feu — 15 points !',
+    'milestones.Hard.2': 'Inarrêtable — 28 points !',
+    'milestones.custom': { one: 'Palier — {count} point !', other: 'Palier — {count} points !' },
+    'end.title': 'Partie terminée',
+    'end.won': 'Tu as atteint {score}/{goal} — mode {mode} !',
+    'end.lost': 'Tu as marqué {score}/{goal} — mode {mode}',
+    'end.win': [
+      'Incroyable ! Tu as apporté de l’eau potable au village !',
+      'Tu as réussi ! Chaque goutte compte !',
+      'Héros de l’hydratation ! La communauté te remercie !',
+      'Bravo ! Ton impact fait des vagues !'
+    ],
+    'end.lose': [
+      'Presque ! Réessaie et attrape quelques gouttes de plus.',
+      'N’abandonne pas ! Chaque essai apporte plus d’eau potable.',
+      'Continue ! Tu apprends vite.',
+      'Tu y es presque — encore un essai !'
+    ],
+    'replay.check': 'Score du replay {score} — enregistré {recorded}',
+    'replay.badFile': 'Ce fichier n’est pas un replay de Goutte d’eau.',
+    'popup.blocked': 'Bloquée !',
+    'streak.count': { one: 'série de {count}', other: 'série de {count}' },
+    'streak.multiplied': 'x{multiplier} · {streak}',
+    'stats.caught': 'Attrapées avec l’arrosoir',
+    'stats.clicked': 'Cliquées',
+    'stats.badHits': 'Mauvaises gouttes touchées',
+    'stats.missed': 'Bonnes gouttes manquées',
+    'stats.longest': 'Plus longue série',
+    'stats.accuracy': 'Précision',
+    'stats.bySize': 'Points par taille',
+    'stats.sizes': 'P {small} · M {medium} · G {large}',
+    'effects.wide': 'Arrosoir large',
+    'effects.shield': 'Bouclier',
+    'effects.magnet': 'Aimant',
+    'effects.timer': '{label} {seconds}s',
+    'leaderboard.prompt': 'Nouveau record ! Entre tes initiales :',
+    'leaderboard.save': 'Enregistrer',
+    'leaderboard.title': 'Top {size} — {mode}',
+    'leaderboard.empty': 'Pas encore de score en {mode}.',
+    'leaderboard.rank': '#',
+    'leaderboard.name': 'Nom',
+    'leaderboard.score': 'Score',
+    'leaderboard.result': 'Résultat',
+    'leaderboard.date': 'Date',
+    'leaderboard.win': 'Victoire',
+    'leaderboard.loss': 'Défaite',
+    'leaderboard.export': 'Exporter',
+    'leaderboard.import': 'Importer',
+    'leaderboard.clear': 'Effacer les scores',
+    'leaderboard.confirmClear': 'Effacer tous les scores {mode} ?',
+    'leaderboard.badFile': 'Ce fichier n’est pas un export de scores Goutte d’eau.',
+    'pause.title': 'Pause',
+    'pause.hint': 'Appuie sur {pause} ou Échap pour continuer.',
+    'editor.title': 'Mode personnalisé',
+    'editor.name': 'Nom',
+    'editor.time': 'Temps (secondes)',
+    'editor.goal': 'Objectif (points)',
+    'editor.spawn': 'Nouvelle goutte toutes les (ms)',
+    'editor.cap': 'Gouttes max à l’écran',
+    'editor.bad': 'Chance de mauvaise goutte (%)',
+    'editor.milestones': 'Paliers (séparés par des virgules)',
+    'editor.scale': 'Hausse max avec le temps (%)',
+    'editor.bump': 'Hausse par palier (%)',
+    'editor.save': 'Enregistrer et jouer',
+    'editor.share': 'Copier le lien',
+    'editor.delete': 'Supprimer',
+    'editor.close': 'Fermer',
+    'editor.copied': 'Lien copié !',
+    'editor.defaultName': 'Mon {mode}',
+    'sound.title': 'Son',
+    'sound.master': 'Volume général',
+    'sound.effects': 'Effets',
+    'sound.music': 'Musique',
+    'sound.theme': 'Thème sonore',
+    'sound.musicToggle': 'Musique de fond',
+    'sound.themes.classic': 'Carillons classiques',
+    'sound.themes.arcade': 'Bips arcade',
+    'sound.themes.rain': 'Pluie douce',
+    'a11y.title': 'Accessibilité',
+    'a11y.announce': 'Annonces pour lecteur d’écran',
+    'a11y.markers': 'Formes sur les gouttes',
+    'a11y.reducedMotion': 'Animations réduites',
+    'a11y.speed': 'Vitesse du jeu',
+    'a11y.hint': 'Clavier : Tab jusqu’à l’arrosoir puis {start} pour commencer, {left} et {right} pour bouger, {pause} ou Échap pour la pause.',
+    'buttons.trophies': 'Trophées',
+    'achievements.title': 'Vitrine des trophées',
+    'achievements.unlocked': 'Succès débloqué : {name}',
+    'achievements.unlockedOn': 'Débloqué le {date}',
+    'achievements.locked': 'Verrouillé',
+    'achievements.count': '{count} sur {total} débloqués',
+    'achievements.first-win.name': 'Premier plongeon',
+    'achievements.first-win.desc': 'Gagne une partie dans n’importe quel mode.',
+    'achievements.win-hard.name': 'Chasseur d’orages',
+    'achievements.win-hard.desc': 'Gagne une partie en Difficile.',
+    'achievements.streak-10.name': 'Main sûre',
+    'achievements.streak-10.desc': 'Attrape 10 bonnes gouttes d’affilée sans toucher de mauvaise.',
+    'achievements.no-clicks.name': 'Sans les mains',
+    'achievements.no-clicks.desc': 'Termine une partie avec l’arrosoir seulement, sans cliquer.',
+    'achievements.all-modes.name': 'Explorateur',
+    'achievements.all-modes.desc': 'Joue en Facile, Normal et Difficile.',
+    'achievements.drops-1000.name': 'Réservoir',
+    'achievements.drops-1000.desc': 'Récolte 1 000 bonnes gouttes au total.',
+    'impact.title': 'Ton impact jusqu’ici',
+    'impact.drops': { one: '{value} goutte récoltée', other: '{value} gouttes récoltées' },
+    'impact.liters': { one: '≈ {value} litre d’eau potable', other: '≈ {value} litres d’eau potable' },
+    'impact.familyDays': { one: '≈ {value} jour d’eau pour une famille', other: '≈ {value} jours d’eau pour une famille' },
+    'impact.round': { one: 'Cette partie : {drops} goutte ≈ {liters} litres d’eau potable.', other: 'Cette partie : {drops} gouttes ≈ {liters} litres d’eau potable.' },
+    'facts.title': 'Le savais-tu ?',
+    'facts.win': [
+      'Un seul projet d’eau peut servir toute une communauté pendant des années s’il est entretenu sur place.',
+      'Avoir de l’eau potable près de chez soi laisse aux enfants plus de temps pour l’école au lieu de longues marches.',
+      'Chaque dollar investi dans l’eau et l’assainissement peut en rapporter plusieurs en santé et en productivité.',
+      'Les systèmes de récupération collectent l’eau de pluie des toits et la stockent pour la saison sèche.'
+    ],
+    'facts.lose': [
+      'Environ 703 millions de personnes dans le monde vivent encore sans eau potable.',
+      'Les femmes et les filles passent environ 200 millions d’heures par jour à aller chercher de l’eau.',
+      'Les maladies liées à l’eau sale touchent plus de personnes que toutes les formes de violence réunies.',
+      'Dans beaucoup d’endroits, aller chercher de l’eau prend des heures — et elle n’est pas toujours saine.'
+    ],
+    'buttons.share': 'Partager',
+    'share.title': 'Partage ton résultat',
+    'share.now': 'Partager',
+    'share.download': 'Télécharger en SVG',
+    'share.won': 'Objectif atteint !',
+    'share.played': 'Chaque goutte compte !',
+    'share.details': 'Mode {mode} · meilleure série {streak}',
+    'share.text': 'J’ai marqué {score}/{goal} à Goutte d’eau (mode {mode}) ! Aide à apporter de l’eau potable aux communautés dans le besoin.',
+    'share.copied': 'Résultat copié dans le presse-papiers !',
+    'hud.player1': 'J1 :',
+    'hud.player2': 'J2 :',
+    'hud.players': 'Joueurs',
+    'players.one': '1 joueur',
+    'players.two': '2 joueurs',
+    'page.can2Alt': 'Arrosoir du joueur 2',
+    'end.player1Wins': 'Le joueur 1 gagne !',
+    'end.player2Wins': 'Le joueur 2 gagne !',
+    'end.tie': 'Égalité !',
+    'end.twoScores': 'Joueur 1 : {one}/{goal} · Joueur 2 : {two}/{goal} — mode {mode}',
+    'end.twoScoresSurvival': 'Joueur 1 : {one} · Joueur 2 : {two} — mode {mode}',
+    'announce.twoScores': 'Joueur 1 {one}, joueur 2 {two}',
+    'modes.Daily': 'Quotidien',
+    'daily.scored': 'Défi du jour enregistré : {score} points',
+    'daily.practice': 'Partie d’entraînement — ton essai du jour est déjà utilisé.',
+    'daily.streak': { one: 'série de {count} jour', other: 'série de {count} jours' },
+    'daily.best': 'record {score}',
+    'daily.next': 'Prochain défi dans',
+    'modes.Survival': 'Survie',
+    'survival.lives': { one: '{count} vie restante', other: '{count} vies restantes' },
+    'survival.lastLife': 'Dernière vie !',
+    'survival.tierUp': 'Niveau {tier} — gouttes plus rapides !',
+    'survival.result': 'Tu as survécu {time} et atteint le niveau {tier} ({score} points)',
+    'survival.resultTwo': 'Ensemble, vous avez survécu {time} et atteint le niveau {tier}',
+    'survival.newBest': 'Nouveau record de survie !',
+    'survival.best': 'Record : {time} (niveau {tier})',
+    'buttons.stats': 'Statistiques',
+    'stats.title': 'Tes statistiques',
+    'stats.mode': 'Mode',
+    'stats.scoreOverTime': 'Score au fil du temps — {mode}',
+    'stats.chartLabel': { one: 'Score de la dernière partie', other: 'Scores des {count} dernières parties' },
+    'stats.winRate': 'Taux de victoire',
+    'stats.badRate': 'Mauvaises gouttes touchées',
+    'stats.runsStored': { one: '{count} partie enregistrée sur cet appareil.', other: '{count} parties enregistrées sur cet appareil.' },
+    'stats.noHistory': 'Joue une partie pour commencer ton historique.',
+    'stats.clear': 'Effacer l’historique',
+    'stats.confirmClear': 'Effacer tout ton historique de parties ?',
+    'buttons.install': 'Installer',
+    'update.ready': 'Une nouvelle version est prête.',
+    'update.reload': 'Recharger',
+    'editor.weather': 'Météo toutes les (secondes, 0 = jamais)',
+    'weather.wind': 'Vent',
+    'weather.storm': 'Orage',
+    'weather.drought': 'Sécheresse',
+    'weather.acidRain': 'Pluie acide',
+    'weather.windStart': 'Coup de vent ! Les gouttes sont déviées',
+    'weather.stormStart': 'Orage ! Une averse de gouttes arrive',
+    'weather.droughtStart': 'Sécheresse ! Moins de gouttes, mais chacune vaut double',
+    'weather.acidRainStart': 'Pluie acide ! Attention aux mauvaises gouttes',
+    'buttons.classroom': 'Animateur',
+    'classroom.title': 'Animateur',
+    'classroom.pin': 'Code',
+    'classroom.pinChoose': "Pas encore de code animateur. Choisis maintenant un code de 4 à 8 chiffres : il servira à rouvrir ce panneau.",
+    'classroom.pinConfirm': 'Répète le code',
+    'classroom.pinMismatch': 'Les deux codes ne correspondent pas.',
+    'classroom.setPin': 'Définir le code',
+    'classroom.pinEnter': 'Saisis le code de l’animateur.',
+    'classroom.pinFormat': 'Le code doit comporter de 4 à 8 chiffres.',
+    'classroom.wrongPin': 'Code incorrect.',
+    'classroom.unlock': 'Déverrouiller',
+    'classroom.enabled': 'Mode classe activé',
+    'classroom.lockMode': 'Verrouiller le mode',
+    'classroom.mode': 'Mode',
+    'classroom.time': 'Temps imposé (secondes, 0 = celui du mode)',
+    'classroom.goal': 'Objectif imposé (points, 0 = celui du mode)',
+    'classroom.roster': 'Joueurs (un nom par ligne)',
+    'classroom.winMessages': 'Messages de victoire (un par ligne, vide = par défaut)',
+    'classroom.loseMessages': 'Messages de défaite (un par ligne, vide = par défaut)',
+    'classroom.newPin': 'Nouveau code (facultatif)',
+    'classroom.save': 'Enregistrer',
+    'classroom.saved': 'Enregistré !',
+    'classroom.export': 'Exporter en CSV',
+    'classroom.clear': 'Effacer les résultats',
+    'classroom.confirmClear': 'Effacer les résultats de cette séance ?',
+    'classroom.noResults': 'Aucun résultat à exporter pour l’instant.',
+    'classroom.results': { one: '{count} partie enregistrée pendant cette séance', other: '{count} parties enregistrées pendant cette séance' },
+    'classroom.nowPlaying': 'À toi de jouer : {name}',
+    'classroom.nextUp': 'Enregistré pour {saved}. Au tour de : {next}',
+    'themes.label': 'Thème',
+    'themes.default': 'charity: water',
+    'themes.dark': 'Sombre',
+    'themes.highContrast': 'Contraste élevé',
+    'controls.title': 'Commandes',
+    'controls.left': 'Aller à gauche',
+    'controls.right': 'Aller à droite',
+    'controls.pause': 'Pause',
+    'controls.start': 'Commencer',
+    'controls.p1Left': 'Joueur 1 gauche (2 joueurs)',
+    'controls.p1Right': 'Joueur 1 droite (2 joueurs)',
+    'controls.pressKey': 'Appuie sur une touche…',
+    'controls.speed': 'Vitesse de déplacement',
+    'controls.mouseFollow': 'L’arrosoir suit la souris',
+    'controls.reset': 'Réinitialiser les commandes',
+    'controls.noGamepad': 'Manette : branche-en une et appuie sur un bouton (stick ou croix pour bouger, A pour commencer, Start pour la pause).',
+    'controls.gamepads': { one: '{count} manette connectée : stick ou croix pour bouger, A pour commencer, Start pour la pause.', other: '{count} manettes connectées (une par joueur) : stick ou croix pour bouger, A pour commencer, Start pour la pause.' },
+    'keys.space': 'Espace',
+    'keys.enter': 'Entrée',
+    'resume.title': 'Terminer ta manche ?',
+    'resume.summary': '{mode} · Score {score} · {time}',
+    'resume.timeLeft': 'encore {seconds} s',
+    'resume.survived': '{time} de survie',
+    'resume.resume': 'Reprendre la manche',
+    'resume.discard': 'Recommencer',
+    'announce.score': 'Score {score}',
+    'announce.time': { one: '{count} seconde restante', other: '{count} secondes restantes' },
+    'announce.badLeft': 'Mauvaise goutte au-dessus, va à gauche',
+    'announce.badRight': 'Mauvaise goutte au-dessus, va à droite'
+  }
+};
+
+let language = pickLanguage();
+
+// Saved choice first, then the browser's language, then English
+function pickLanguage() {
+  const saved = localStorage.getItem(LANGUAGE_KEY);
+  if (saved && catalogs[saved]) return saved;
+  const browser = String(navigator.language || 'en').slice(0, 2).toLowerCase();
+  return catalogs[browser] ? browser : 'en';
+}
+
+// Find a key's raw value in the current language, or in English
+function lookup(key) {
+  const value = catalogs[language][key];
+  return value !== undefined ? value : catalogs.en[key];
+}
+
+// Fill {name} placeholders from params
+function interpolate(text, params) {
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match));
+}
+
+// Translate a key. Plural entries pick their form from params.count.
+function t(key, params) {
+  let value = lookup(key);
+  if (value === undefined) return key;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const count = params && params.count !== undefined ? params.count : 0;
+    const form = new Intl.PluralRules(language).select(count);
+    value = value[form] !== undefined ? value[form] : value.other;
+  }
+  return interpolate(value, params);
+}
+
+// Translate a list key (such as the end messages)
+function tList(key) {
+  const value = lookup(key);
+  return Array.isArray(value) ? value : [];
+}
+
+// ===============
+// Game Modes
+// ===============
+// One registry holds every number a mode needs. The saved difficulty, the
+// difficulty select, startGame() and "Try a New Mode" all read from here, so
+// changing a mode only means changing this table.
+// - labelKey / messageKey: catalog keys for the mode name and milestone text
+// - daily: the drops come from the day's seed (see Daily Challenge)
+// - survival / lives: no timer, the round ends when the lives run out
+// - timeScaleMax: extra bad-drop chance added gradually as time runs out
+// - milestoneBump: extra bad-drop chance added each time a milestone is hit
+// - powerUpChances: chance that a good drop is each power-up type (see dropTypes)
+// - weatherEvery: seconds of calm between weather events, 0 for none (see Weather Events)
+const builtInModes = {
+  Easy: {
+    label: 'Easy', labelKey: 'modes.Easy', badge: 'easy',
+    timeLimit: 60, winScore: 12, spawnInterval: 1400, maxActiveDrops: 12, badDropChance: 0.08,
+    timeScaleMax: 0.04, milestoneBump: 0.02, weatherEvery: 25,
+    powerUpChances: { golden: 0.05, clock: 0.04, wide: 0.03, shield: 0.03, magnet: 0.03 },
+    milestones: [
+      { score: 3, messageKey: 'milestones.Easy.0' },
+      { score: 6, messageKey: 'milestones.Easy.1' },
+      { score: 12, messageKey: 'milestones.Easy.2' }
+    ]
+  },
+  Normal: {
+    label: 'Normal', labelKey: 'modes.Normal', badge: 'normal',
+    timeLimit: 45, winScore: 20, spawnInterval: 900, maxActiveDrops: 18, badDropChance: 0.18,
+    timeScaleMax: 0.08, milestoneBump: 0.04, weatherEvery: 18,
+    powerUpChances: { golden: 0.04, clock: 0.03, wide: 0.02, shield: 0.02, magnet: 0.02 },
+    milestones: [
+      { score: 5, messageKey: 'milestones.Normal.0' },
+      { score: 10, messageKey: 'milestones.Normal.1' },
+      { score: 20, messageKey: 'milestones.Normal.2' }
+    ]
+  },
+  Hard: {
+    label: 'Hard', labelKey: 'modes.Hard', badge: 'hard',
+    timeLimit: 35, winScore: 28, spawnInterval: 600, maxActiveDrops: 28, badDropChance: 0.28,
+    timeScaleMax: 0.14, milestoneBump: 0.06, weatherEvery: 12,
+    powerUpChances: { golden: 0.03, clock: 0.02, wide: 0.015, shield: 0.02, magnet: 0.015 },
+    milestones: [
+      { score: 5, messageKey: 'milestones.Hard.0' },
+      { score: 15, messageKey: 'milestones.Hard.1' },
+      { score: 28, messageKey: 'milestones.Hard.2' }
+    ]
+  },
+  // No timer: play until the lives run out (see Survival Mode below)
+  Survival: {
+    label: 'Survival', labelKey: 'modes.Survival', badge: 'survival', survival: true, lives: 3,
+    timeLimit: 0, winScore: 0, spawnInterval: 1000, maxActiveDrops: 30, badDropChance: 0.12,
+    timeScaleMax: 0.08, milestoneBump: 0.04, weatherEvery: 15,
+    powerUpChances: { golden: 0.04, clock: 0.03, wide: 0.02, shield: 0.03, magnet: 0.02 },
+    milestones: [{ score: 10 }, { score: 25 }, { score: 50 }]
+  },
+  // Same drops for everyone on the same day (see Daily Challenge below).
+  // No milestone bump or time scaling, so the drops can't depend on the player.
+  Daily: {
+    label: 'Daily', labelKey: 'modes.Daily', badge: 'daily', daily: true,
+    timeLimit: 45, winScore: 20, spawnInterval: 800, maxActiveDrops: 40, badDropChance: 0.2,
+    timeScaleMax: 0, milestoneBump: 0, weatherEvery: 18,
+    powerUpChances: { golden: 0.04, clock: 0.03, wide: 0.02, shield: 0.02, magnet: 0.02 },
+    milestones: [{ score: 10 }, { score: 20 }, { score: 30 }]
+  }
+};
 
-// Per-difficulty milestone configurations (can be extended)
-const milestoneConfigs = {
-  Easy: [
-    { score: 3, message: 'Nice start! 3 points!' },
-    { score: 6, message: 'Keep going — 6 points!' },
-    { score: 12, message: 'You reached 12 — great job!' }
-  ],
-  Normal: [
-    { score: 5, message: 'Nice start! 5 points!' },
-    { score: 10, message: 'Halfway there!' },
-    { score: 20, message: 'Great work — 20 points!' }
-  ],
-  Hard: [
-    { score: 5, message: 'Brave start — 5 points!' },
-    { score: 15, message: 'On fire — 15 points!' },
-    { score: 28, message: 'Unstoppable — 28 points!' }
-  ]
+// Allowed ranges for custom modes. Anything outside is clamped so a typo
+// (or a hand-edited share link) can't make the game unplayable.
+const customModeLimits = {
+  timeLimit: { min: 10, max: 300 },
+  winScore: { min: 1, max: 500 },
+  spawnInterval: { min: 200, max: 5000 },
+  maxActiveDrops: { min: 1, max: 40 },
+  badDropChance: { min: 0, max: 0.9 },
+  timeScaleMax: { min: 0, max: 0.5 },
+  milestoneBump: { min: 0, max: 0.2 },
+  weatherEvery: { min: 0, max: 120 }
 };
-let activeMilestones = milestoneConfigs['Normal'];
+
+// Custom modes are saved next to wd_difficulty as { id: mode }
+const CUSTOM_MODES_KEY = 'wd_custom_modes';
+let customModes = loadCustomModes();
+
+// Facilitator settings can lock the mode and override its time and goal (see Classroom Mode)
+const CLASSROOM_KEY = 'wd_classroom';
+let classroom = loadClassroom();
+
+// Look up a mode by id, falling back to Normal for unknown ids
+function getMode(id) {
+  return customModes[id] || builtInModes[id] || builtInModes.Normal;
+}
+
+// The name to show for a mode: built-ins are translated, custom names are the player's own
+function modeLabel(mode) {
+  return mode.labelKey ? t(mode.labelKey) : mode.label;
+}
+
+// Built-in milestones have their own text; custom ones share a generic line
+function milestoneText(milestone) {
+  return milestone.messageKey ? t(milestone.messageKey) : t('milestones.custom', { count: milestone.score });
+}
+
+// Turn an id that may no longer exist (e.g. a deleted custom mode) into a valid one
+function resolveModeId(id) {
+  if (customModes[id] || builtInModes[id]) return id;
+  return 'Normal';
+}
+
+function clampNumber(value, limits, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(limits.min, Math.min(limits.max, n));
+}
+
+// Build a clean custom mode from raw input (form fields, storage or a share link)
+function sanitizeCustomMode(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const base = builtInModes.Normal;
+  const label = String(raw.label || '').trim().slice(0, 24) || t('modes.customDefault');
+  const mode = { label: label, badge: 'custom', custom: true, powerUpChances: Object.assign({}, base.powerUpChances) };
+  Object.keys(customModeLimits).forEach((key) => {
+    mode[key] = clampNumber(raw[key], customModeLimits[key], base[key]);
+  });
+  // Whole numbers for counts and times
+  mode.timeLimit = Math.round(mode.timeLimit);
+  mode.winScore = Math.round(mode.winScore);
+  mode.spawnInterval = Math.round(mode.spawnInterval);
+  mode.maxActiveDrops = Math.round(mode.maxActiveDrops);
+  mode.weatherEvery = Math.round(mode.weatherEvery);
+  // Milestones may arrive as [{score}], [numbers] or "3,6,12"
+  let list = raw.milestones;
+  if (typeof list === 'string') list = list.split(',');
+  if (!Array.isArray(list)) list = [];
+  const scores = list
+    .map((m) => Math.round(Number(m && typeof m === 'object' ? m.score : m)))
+    .filter((n) => Number.isFinite(n) && n > 0 && n <= customModeLimits.winScore.max);
+  const unique = Array.from(new Set(scores)).sort((a, b) => a - b).slice(0, 10);
+  mode.milestones = unique.map((n) => ({ score: n }));
+  return mode;
+}
+
+// Make an id like "custom-speed-run" from a mode's label
+function customModeId(label) {
+  const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `custom-${slug || 'mode'}`;
+}
+
+function loadCustomModes() {
+  const modes = {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_MODES_KEY) || '{}');
+    Object.keys(stored).forEach((id) => {
+      const mode = sanitizeCustomMode(stored[id]);
+      if (mode) modes[id] = mode;
+    });
+  } catch (err) {
+    // corrupted storage: start with no custom modes
+  }
+  return modes;
+}
+
+function saveCustomModes() {
+  try {
+    localStorage.setItem(CUSTOM_MODES_KEY, JSON.stringify(customModes));
+  } catch (err) {
+    // storage full or blocked; custom modes will only last this session
+  }
+}
+
+// Share links carry a custom mode as query params, e.g.
+// ?mode=Speedy&time=30&goal=25&spawn=500&cap=20&bad=15&milestones=5,10,20&scale=10&bump=5&weather=20
+// Percentages (bad, scale, bump) are whole numbers to keep links readable.
+function modeToQuery(mode) {
+  const params = new URLSearchParams();
+  params.set('mode', mode.label);
+  params.set('time', mode.timeLimit);
+  params.set('goal', mode.winScore);
+  params.set('spawn', mode.spawnInterval);
+  params.set('cap', mode.maxActiveDrops);
+  params.set('bad', Math.round(mode.badDropChance * 100));
+  params.set('milestones', mode.milestones.map((m) => m.score).join(','));
+  params.set('scale', Math.round(mode.timeScaleMax * 100));
+  params.set('bump', Math.round(mode.milestoneBump * 100));
+  params.set('weather', mode.weatherEvery);
+  return params.toString();
+}
+
+function modeFromQuery(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('mode') || !params.has('time') || !params.has('goal')) return null;
+  return sanitizeCustomMode({
+    label: params.get('mode'),
+    timeLimit: params.get('time'),
+    winScore: params.get('goal'),
+    spawnInterval: params.get('spawn'),
+    maxActiveDrops: params.get('cap'),
+    badDropChance: Number(params.get('bad')) / 100,
+    milestones: params.get('milestones') || '',
+    timeScaleMax: Number(params.get('scale')) / 100,
+    milestoneBump: Number(params.get('bump')) / 100,
+    weatherEvery: params.get('weather')
+  });
+}
+
+let activeMilestones = builtInModes.Normal.milestones;
 let nextMilestoneIndex = 0;
 
-// Helper: play a sound if the element exists
-// Simple beep fallback using Web Audio API. Creates a short tone so users still get feedback
-function playBeep(frequency = 880, duration = 0.12, type = 'sine') {
+// ==============
+// Sound Manager
+// ==============
+// All game audio is synthesized with the Web Audio API, so it works with no
+// audio files at all. One AudioContext feeds three volume controls:
+//   cues  -> effectsGain -> masterGain -> speakers
+//   music -> musicGain   -> masterGain
+// Settings (mute, volumes, theme, music on/off) are saved in localStorage.
+const SOUND_SETTINGS_KEY = 'wd_sound';
+const defaultSoundSettings = { muted: false, master: 0.8, effects: 0.8, music: 0.4, theme: 'classic', musicOn: false };
+const soundSettings = loadSoundSettings();
+let audioCtx = null;
+let masterGain, effectsGain, musicGain;
+
+// A theme is a set of cues (short note lists) plus an optional music loop.
+// Each note is { f: frequency in Hz, d: duration in s, at: start offset in s },
+// with an optional wave type and slide (frequency to glide to).
+const soundThemes = {
+  classic: {
+    labelKey: 'sound.themes.classic',
+    wave: 'sine',
+    cues: {
+      collect: [{ f: 880, d: 0.1, at: 0 }, { f: 1320, d: 0.12, at: 0.06 }],
+      bad: [{ f: 300, d: 0.22, at: 0, slide: 160, type: 'triangle' }],
+      milestone: [{ f: 660, d: 0.1, at: 0 }, { f: 880, d: 0.1, at: 0.1 }, { f: 1100, d: 0.16, at: 0.2 }],
+      win: [{ f: 880, d: 0.12, at: 0 }, { f: 1100, d: 0.12, at: 0.16 }, { f: 1320, d: 0.3, at: 0.32 }],
+      lose: [{ f: 523, d: 0.2, at: 0 }, { f: 440, d: 0.2, at: 0.22 }, { f: 349, d: 0.4, at: 0.44 }],
+      button: [{ f: 990, d: 0.06, at: 0 }]
+    },
+    // one bar of a gentle arpeggio, repeated while a round runs
+    music: { bar: 2, notes: [{ f: 262, d: 0.4, at: 0 }, { f: 330, d: 0.4, at: 0.5 }, { f: 392, d: 0.4, at: 1 }, { f: 330, d: 0.4, at: 1.5 }] }
+  },
+  arcade: {
+    labelKey: 'sound.themes.arcade',
+    wave: 'square',
+    cues: {
+      collect: [{ f: 988, d: 0.05, at: 0 }, { f: 1319, d: 0.08, at: 0.05 }],
+      bad: [{ f: 220, d: 0.25, at: 0, slide: 80, type: 'sawtooth' }],
+      milestone: [{ f: 523, d: 0.07, at: 0 }, { f: 659, d: 0.07, at: 0.08 }, { f: 784, d: 0.07, at: 0.16 }, { f: 1047, d: 0.14, at: 0.24 }],
+      win: [{ f: 784, d: 0.1, at: 0 }, { f: 988, d: 0.1, at: 0.12 }, { f: 1175, d: 0.1, at: 0.24 }, { f: 1568, d: 0.35, at: 0.36 }],
+      lose: [{ f: 392, d: 0.15, at: 0 }, { f: 311, d: 0.15, at: 0.18 }, { f: 262, d: 0.15, at: 0.36 }, { f: 196, d: 0.4, at: 0.54, slide: 120 }],
+      button: [{ f: 1200, d: 0.04, at: 0 }]
+    },
+    music: { bar: 1.6, notes: [{ f: 131, d: 0.15, at: 0 }, { f: 196, d: 0.15, at: 0.4 }, { f: 165, d: 0.15, at: 0.8 }, { f: 196, d: 0.15, at: 1.2 }] }
+  },
+  rain: {
+    labelKey: 'sound.themes.rain',
+    wave: 'triangle',
+    cues: {
+      collect: [{ f: 1400, d: 0.08, at: 0, slide: 700 }],
+      bad: [{ f: 180, d: 0.3, at: 0, slide: 110 }],
+      milestone: [{ f: 587, d: 0.2, at: 0 }, { f: 880, d: 0.3, at: 0.15 }],
+      win: [{ f: 587, d: 0.25, at: 0 }, { f: 740, d: 0.25, at: 0.2 }, { f: 880, d: 0.5, at: 0.4 }],
+      lose: [{ f: 440, d: 0.35, at: 0, slide: 330 }, { f: 330, d: 0.5, at: 0.35, slide: 220 }],
+      button: [{ f: 800, d: 0.05, at: 0 }]
+    },
+    music: { bar: 3, notes: [{ f: 220, d: 1.2, at: 0 }, { f: 277, d: 1.2, at: 1.5 }] }
+  }
+};
+
+function loadSoundSettings() {
   try {
-    // Create AudioContext on demand (most browsers require a user gesture to resume it)
-    const AC = window.AudioContext || window.webkitAudioContext;
-    if (!AC) return;
-    if (!playBeep._ctx) playBeep._ctx = new AC();
-    const ctx = playBeep._ctx;
-    // Ensure context is resumed if it's suspended
-    if (ctx.state === 'suspended' && typeof ctx.resume === 'function') {
-      ctx.resume().catch(() => {});
-    }
-    const o = ctx.createOscillator();
-    const g = ctx.createGain();
-    o.type = type;
-    o.frequency.value = frequency;
-    g.gain.value = 0.12;
-    o.connect(g);
-    g.connect(ctx.destination);
-    o.start();
-    // ramp down quickly to avoid clicks
-    g.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + duration);
-    setTimeout(() => {
-      try { o.stop(); } catch (e) {}
-      try { o.disconnect(); g.disconnect(); } catch (e) {}
-    }, duration * 1000 + 50);
+    const saved = JSON.parse(localStorage.getItem(SOUND_SETTINGS_KEY) || '{}');
+    return Object.assign({}, defaultSoundSettings, saved);
   } catch (err) {
-    // ignore audio fallback errors
+    return Object.assign({}, defaultSoundSettings);
   }
 }
 
-function playSfx(el) {
+function saveSoundSettings() {
   try {
-    // Prefer the provided element; if missing or has no src, fall back to the win sound element
-    let audioEl = el;
-    if (!audioEl || !audioEl.src) audioEl = sfxWin;
-    // If still no element or no src, use WebAudio beep fallback
-    if (!audioEl || !audioEl.src) {
-      playBeep(880, 0.14, 'sine');
-      return;
-    }
-    // Clone the node to allow overlapping playback
-    const clone = audioEl.cloneNode();
-    // Attempt to play; if it rejects (file missing, autoplay blocked), fallback to beep
-    const p = clone.play();
-    if (p && typeof p.catch === 'function') {
-      p.catch(() => {
-        playBeep(880, 0.14, 'sine');
-      });
+    localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(soundSettings));
+  } catch (err) {
+    // storage blocked; settings last for this visit only
+  }
+}
+
+// Create the AudioContext on first use (browsers need a user gesture first)
+function getAudio() {
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if (!AC) return null;
+  if (!audioCtx) {
+    try {
+      audioCtx = new AC();
+    } catch (err) {
+      return null;
     }
+    masterGain = audioCtx.createGain();
+    effectsGain = audioCtx.createGain();
+    musicGain = audioCtx.createGain();
+    effectsGain.connect(masterGain);
+    musicGain.connect(masterGain);
+    masterGain.connect(audioCtx.destination);
+    applySoundSettings();
+  }
+  if (audioCtx.state === 'suspended' && typeof audioCtx.resume === 'function') {
+    audioCtx.resume().catch(() => {});
+  }
+  return audioCtx;
+}
+
+// Push the saved volumes into the gain nodes
+function applySoundSettings() {
+  if (!audioCtx) return;
+  masterGain.gain.value = soundSettings.muted ? 0 : soundSettings.master;
+  effectsGain.gain.value = soundSettings.effects;
+  musicGain.gain.value = soundSettings.music;
+}
+
+function currentSoundTheme() {
+  return soundThemes[soundSettings.theme] || soundThemes.classic;
+}
+
+// Play a list of notes into a gain node, starting at audio time `start`
+function playNotes(notes, destination, start, wave) {
+  const ctx = audioCtx;
+  notes.forEach((note) => {
+    const t = start + note.at;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = note.type || wave;
+    osc.frequency.setValueAtTime(note.f, t);
+    if (note.slide) osc.frequency.exponentialRampToValueAtTime(note.slide, t + note.d);
+    // quick attack, then fade out to avoid clicks
+    env.gain.setValueAtTime(0.0001, t);
+    env.gain.exponentialRampToValueAtTime(0.25, t + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + note.d);
+    osc.connect(env);
+    env.connect(destination);
+    osc.start(t);
+    osc.stop(t + note.d + 0.05);
+    osc.onended = () => {
+      osc.disconnect();
+      env.disconnect();
+    };
+  });
+}
+
+// Play a named cue (collect, bad, milestone, win, lose, button) from the theme
+function playCue(name) {
+  if (soundSettings.muted) return;
+  const ctx = getAudio();
+  if (!ctx) return;
+  const theme = currentSoundTheme();
+  const notes = theme.cues[name];
+  if (!notes) return;
+  try {
+    playNotes(notes, effectsGain, ctx.currentTime + 0.01, theme.wave);
   } catch (err) {
-    // If anything goes wrong, play a short beep as a last-resort fallback
-    playBeep(880, 0.14, 'sine');
+    // ignore audio errors; the game works silently
+  }
+}
+
+// Background loop: every 200ms, schedule any bars that start in the next half second
+let musicTimer = null;
+let nextBarTime = 0;
+
+function startMusic() {
+  if (musicTimer || !soundSettings.musicOn || soundSettings.muted) return;
+  const ctx = getAudio();
+  if (!ctx) return;
+  nextBarTime = ctx.currentTime + 0.1;
+  musicTimer = setInterval(scheduleMusic, 200);
+  scheduleMusic();
+}
+
+function scheduleMusic() {
+  const theme = currentSoundTheme();
+  if (!theme.music || !audioCtx) return;
+  while (nextBarTime < audioCtx.currentTime + 0.5) {
+    playNotes(theme.music.notes, musicGain, nextBarTime, theme.wave);
+    nextBarTime += theme.music.bar;
   }
 }
 
+function stopMusic() {
+  clearInterval(musicTimer);
+  musicTimer = null;
+}
+
 // ---------------
 // DOM References
 // ---------------
 const startBtn = document.getElementById("start-btn");
 const playAgainBtn = document.getElementById("play-again-btn");
 const scoreEl = document.getElementById("score");
+const score2El = document.getElementById("score-2");
+const livesEl = document.getElementById('lives');
 const timeEl = document.getElementById("time");
 const difficultySelect = document.getElementById("difficulty-select");
 const gameContainer = document.getElementById("game-container");
@@ -124,435 +1414,1049 @@ const resetBtn = document.getElementById("reset-btn");
 const winGoalEl = document.getElementById('win-goal');
 const difficultyBadge = document.getElementById('difficulty-badge');
 const tryNewModeBtn = document.getElementById('try-new-mode-btn');
+const pauseBtn = document.getElementById('pause-btn');
+const pauseOverlay = document.getElementById('pause-overlay');
 
-// Audio elements (optional files in audio/ folder)
-const sfxCollect = document.getElementById('sfx-collect');
-const sfxMiss = document.getElementById('sfx-miss');
-const sfxButton = document.getElementById('sfx-button');
-const sfxWin = document.getElementById('sfx-win');
 // Milestone banner element
 const milestoneBanner = document.getElementById('milestone-banner');
 
 // Water can movement logic
+// The game works in a fixed "logical" field 800 units wide. Positions and
+// sizes (canX, canWidth, drop x and size) are all in these units, and are
+// multiplied by fieldScale only when drawn, so the can and the drops agree
+// at any container size.
 const waterCan = document.getElementById("water-can");
-let canX = 370; // Start centered for 800px width
-const canWidth = 80;
-const gameWidth = 800;
-// Difficulty config (will be updated on start)
+const gameWidth = 800;   // logical field width
+const gameHeight = 600;  // logical field height (the container keeps a 4:3 shape)
+const baseCanWidth = 80; // logical can width
+let canWidth = baseCanWidth; // current width (the wide-can power-up changes it)
+const canHeight = 80;    // logical can height (the can sits on the bottom edge)
+let canX = (gameWidth - canWidth) / 2; // Start centered
+const waterCan2 = document.getElementById("water-can-2"); // player two (two-player mode)
+let can2X = (gameWidth - canWidth) / 2;
+let fieldScale = 1;      // screen pixels per logical unit
+const canStep = 30;      // logical units per tap on a touch screen
+// Difficulty config (filled in from the mode registry by applyMode)
 let difficulty = 'Normal';
+let currentMode = builtInModes.Normal;
 let winScore = 20;
 let timeLimit = 45;
 let spawnInterval = null; // ms - configured on start
-// Maximum active drops allowed (adjusted per-difficulty in startGame)
+// Maximum active drops allowed (from the current mode)
 let maxActiveDrops = 20;
-// Probability a new drop is a bad drop (0.0 - 1.0). Set per-difficulty in startGame.
+// Probability a new drop is a bad drop (0.0 - 1.0). From the current mode.
 let badDropChance = 0.2;
 // Dynamic scaling: increases from milestones and as time runs out
 let milestoneBadIncrease = 0;
-const milestoneBumpPerDifficulty = { Easy: 0.02, Normal: 0.04, Hard: 0.06 };
-const timeScaleMaxPerDifficulty = { Easy: 0.04, Normal: 0.08, Hard: 0.14 };
 
-// Load persisted difficulty if available
-const savedDifficulty = localStorage.getItem('wd_difficulty');
-if (savedDifficulty) {
-  difficulty = savedDifficulty;
-  if (difficultySelect) difficultySelect.value = difficulty;
+// Copy a mode's settings into the game variables and reset per-run scaling.
+// Used by every path that changes mode so they can't drift apart.
+// A facilitator's locked mode wins over whatever was picked.
+function applyMode(id) {
+  const modeId = resolveModeId(lockedModeId() || id);
+  useModeSettings(modeId, withClassroomOverrides(getMode(modeId)));
 }
-// Update displayed goal initial value
-if (winGoalEl) winGoalEl.textContent = winScore;
 
-// If a saved difficulty exists, set timeLimit and show it immediately
-if (savedDifficulty) {
-  if (difficulty === 'Easy') timeLimit = 60;
-  else if (difficulty === 'Normal') timeLimit = 45;
-  else if (difficulty === 'Hard') timeLimit = 35;
+// Load settings from a mode object directly (replays bring their own copy)
+function useModeSettings(id, mode) {
+  difficulty = id;
+  currentMode = mode;
+  spawnInterval = currentMode.spawnInterval;
+  winScore = currentMode.winScore;
+  timeLimit = currentMode.timeLimit;
+  maxActiveDrops = currentMode.maxActiveDrops;
+  badDropChance = currentMode.badDropChance;
+  activeMilestones = currentMode.milestones;
+  nextMilestoneIndex = 0;
+  milestoneBadIncrease = 0;
+}
+
+// Show the selected mode's time, goal and badge before the game starts
+function showModePreview() {
   timeLeft = timeLimit;
   timeEl.textContent = timeLeft;
-  // update displayed win goal
-  if (winGoalEl) {
-    if (difficulty === 'Easy') winGoalEl.textContent = 12;
-    else if (difficulty === 'Normal') winGoalEl.textContent = 20;
-    else if (difficulty === 'Hard') winGoalEl.textContent = 28;
+  if (winGoalEl) winGoalEl.textContent = currentMode.survival ? '—' : winScore;
+  setDifficultyBadge(difficulty);
+  renderLives();
+}
+
+// Rebuild the difficulty select so it lists built-in modes plus saved custom modes
+function renderModeOptions() {
+  if (!difficultySelect) return;
+  difficultySelect.innerHTML = '';
+  Object.keys(builtInModes).forEach((id) => {
+    difficultySelect.appendChild(new Option(modeLabel(builtInModes[id]), id));
+  });
+  const customIds = Object.keys(customModes);
+  if (customIds.length) {
+    const group = document.createElement('optgroup');
+    group.label = t('modes.customGroup');
+    customIds.forEach((id) => group.appendChild(new Option(customModes[id].label, id)));
+    difficultySelect.appendChild(group);
+  }
+  difficultySelect.value = difficulty;
+}
+
+// Switch to a mode from the UI: apply it, remember it and refresh the display
+function selectMode(id) {
+  applyMode(id);
+  localStorage.setItem('wd_difficulty', difficulty);
+  if (difficultySelect) difficultySelect.value = difficulty;
+  showModePreview();
+}
+
+// Load persisted difficulty if available
+const savedDifficulty = localStorage.getItem('wd_difficulty');
+applyMode(savedDifficulty || 'Normal');
+
+// Save a mode from a share link and return its id. If a different mode
+// already uses that name, the new one becomes "Name (2)", "Name (3)", ...
+// so nothing the player made is replaced. The same mode shared twice is
+// only stored once.
+function addSharedMode(mode) {
+  let candidate = mode;
+  for (let n = 2; ; n++) {
+    const id = customModeId(candidate.label);
+    const existing = customModes[id];
+    if (!existing || JSON.stringify(existing) === JSON.stringify(candidate)) {
+      customModes[id] = candidate;
+      return id;
+    }
+    candidate = Object.assign({}, mode, { label: `${mode.label.slice(0, 19)} (${n})` });
   }
 }
 
+// A shared link (?mode=...&time=...) adds that custom mode and selects it.
+// The query is then removed from the address, so a reload doesn't add it again.
+const sharedMode = modeFromQuery(window.location.search);
+if (sharedMode) {
+  const sharedId = addSharedMode(sharedMode);
+  saveCustomModes();
+  applyMode(sharedId);
+  localStorage.setItem('wd_difficulty', difficulty);
+  history.replaceState(null, '', window.location.pathname + window.location.hash);
+}
+
+renderModeOptions();
+showModePreview();
+
 // Persist difficulty when user changes it and update goal display immediately
 if (difficultySelect) {
   difficultySelect.addEventListener('change', (e) => {
-    const val = e.target.value;
-    localStorage.setItem('wd_difficulty', val);
-    if (winGoalEl) {
-      if (val === 'Easy') winGoalEl.textContent = 12;
-      else if (val === 'Normal') winGoalEl.textContent = 20;
-      else if (val === 'Hard') winGoalEl.textContent = 28;
-    }
-    // Update time display and timeLimit immediately so user sees mode effect before starting
-    if (val === 'Easy') timeLimit = 60;
-    else if (val === 'Normal') timeLimit = 45;
-    else if (val === 'Hard') timeLimit = 35;
-    timeLeft = timeLimit;
-    timeEl.textContent = timeLeft;
-    // update badge color
-    setDifficultyBadge(val);
+    selectMode(e.target.value);
   });
 }
 
 // helper to set badge color class
 function setDifficultyBadge(val) {
   if (!difficultyBadge) return;
-  difficultyBadge.classList.remove('easy','normal','hard');
-  if (val === 'Easy') difficultyBadge.classList.add('easy');
-  else if (val === 'Normal') difficultyBadge.classList.add('normal');
-  else if (val === 'Hard') difficultyBadge.classList.add('hard');
+  difficultyBadge.classList.remove('easy','normal','hard','custom','daily','survival');
+  difficultyBadge.classList.add(getMode(val).badge);
 }
 
-// initialize badge on load
-setDifficultyBadge(difficulty);
+// Move the can (kept inside the field) and remember the move so replays can repeat it
+function moveCanTo(x) {
+  canX = Math.max(0, Math.min(gameWidth - canWidth, x));
+  renderCan();
+  recordEvent('move', canX);
+}
 
-// Move can left/right with arrow keys
-window.addEventListener("keydown", function(e) {
-  if (!gameRunning) return;
-  if (e.key === "ArrowLeft") {
-    canX = Math.max(0, canX - 30);
-    waterCan.style.left = canX + "px";
-  } else if (e.key === "ArrowRight") {
-    canX = Math.min(gameWidth - canWidth, canX + 30);
-    waterCan.style.left = canX + "px";
-  }
-});
+// Keyboard and gamepad movement live in the Controls section below
 
 // Reset can position on game start
 function startGame() {
   if (gameRunning) return;
   gameRunning = true;
   startBtn.disabled = true;
-  // Read difficulty and set parameters
-  difficulty = difficultySelect ? difficultySelect.value : 'Normal';
-  // Tune spawn interval and caps per difficulty for better balance
-  if (difficulty === 'Easy') {
-    spawnInterval = 1400; winScore = 12; timeLimit = 60; maxActiveDrops = 12; activeMilestones = milestoneConfigs.Easy; badDropChance = 0.08;
-  } else if (difficulty === 'Normal') {
-    spawnInterval = 900; winScore = 20; timeLimit = 45; maxActiveDrops = 18; activeMilestones = milestoneConfigs.Normal; badDropChance = 0.18;
-  } else if (difficulty === 'Hard') {
-    spawnInterval = 600; winScore = 28; timeLimit = 35; maxActiveDrops = 28; activeMilestones = milestoneConfigs.Hard; badDropChance = 0.28;
-  }
-  // Reset milestone progress for the new run
-  nextMilestoneIndex = 0;
-  // reset milestone-based bad-drop increases for fresh run
-  milestoneBadIncrease = 0;
+  if (replayData) {
+    // Replays use the mode and seed saved in the file, not the select
+    useModeSettings(replayData.modeId, replayData.mode);
+    runSeed = replayData.seed;
+    runSpeed = Number.isFinite(replayData.speed) ? replayData.speed : 1;
+    twoPlayer = replayData.players === 2;
+  } else {
+    // Read difficulty and load its settings from the mode registry
+    applyMode(difficultySelect ? difficultySelect.value : difficulty);
+    runSeed = newSeed();
+    // Daily ignores the speed setting (and the reduced-motion slow-down) so
+    // every player gets the same drops at the same speed
+    runSpeed = currentMode.daily ? 1 : dropSpeedSetting();
+    twoPlayer = playersSetting === 2;
+    if (currentMode.daily) startDailyRound();
+  }
+  rng = createRng(runSeed);
+  rngDraws = 0;
+  releaseCanInputs();
+  nextDropId = 0;
+  spawnCount = 0;
+  recordedEvents = [];
+  eventsLost = false;
 
   // Apply time limit
   timeLeft = timeLimit;
   timeEl.textContent = timeLeft;
-  if (winGoalEl) winGoalEl.textContent = winScore;
-
-  canX = (gameWidth - canWidth) / 2;
-  waterCan.style.left = canX + "px";
-  dropMaker = setInterval(createDrop, spawnInterval);
-  timerInterval = setInterval(() => {
-    timeLeft -= 1;
-    timeEl.textContent = timeLeft;
-    if (timeLeft === 2) {
-      clearInterval(dropMaker); // Stop spawning drops 1s before end
-    }
-    if (timeLeft <= 0) {
-      endGame();
-    }
-  }, 1000);
+  if (winGoalEl) winGoalEl.textContent = currentMode.survival ? '—' : winScore;
+  if (currentMode.survival) startSurvivalRound();
+  renderLives();
+
+  resetStreakAndStats();
+  resetPlayerTwo();
+  lastAnnouncedScore = score;
+  canWidth = baseCanWidth;
+  applyPlayerLayout();
+  placeCans();
+
+  // Fresh game clock: first drop after one spawn interval, first tick after 1s
+  stepCount = 0;
+  simTime = 0;
+  nextSpawnAt = spawnInterval;
+  nextTickAt = 1000;
+  spawning = true;
+  startWeatherSchedule();
+  if (replayData) {
+    // Playback feeds the recorded inputs back in at the same steps
+    gameContainer.classList.add('replaying');
+    replayIndex = 0;
+  }
+  gamePaused = false;
+  if (pauseBtn) pauseBtn.disabled = false;
+  startLoop();
+  startMusic();
+  emitGameEvent('game_started', { modeId: difficulty, seed: runSeed, players: twoPlayer ? 2 : 1, replay: !!replayData });
+}
+
+// One second of the countdown (survival rounds count up instead)
+function clockTick() {
+  if (currentMode.survival) {
+    survivalTick();
+    return;
+  }
+  timeLeft -= 1;
+  timeEl.textContent = timeLeft;
+  announceTick();
+  if (timeLeft === 2) {
+    spawning = false; // Stop spawning drops 1s before end
+  }
+  if (timeLeft <= 0) {
+    endGame();
+  }
 }
 
 // Ensure only one startGame function exists and event listener is set
 startBtn.onclick = startGame;
 
+// ==========
+// Game Loop
+// ==========
+// A single requestAnimationFrame loop runs the round. It moves the game
+// forward in fixed steps of STEP_MS (spawning, falling, catching and the
+// countdown all happen inside a step), then draws the drops once per frame.
+// Fixed steps mean the same inputs always give the same result, which is
+// what replays rely on.
+const STEP_MS = 1000 / 60;
+const MAX_STEPS_PER_FRAME = 10; // after a long stall, skip ahead instead of freezing
+let stepCount = 0;      // steps simulated this run
+let simTime = 0;        // ms of game time this run
+let nextSpawnAt = 0;    // simTime of the next spawn
+let nextTickAt = 0;     // simTime of the next countdown tick
+let spawning = false;   // turned off in the last seconds of a round
+let loopHandle = null;  // requestAnimationFrame id while the loop runs
+let lastFrameTime = 0;
+let frameAccumulator = 0;
+
+function startLoop() {
+  stopLoop();
+  lastFrameTime = performance.now();
+  frameAccumulator = 0;
+  loopHandle = requestAnimationFrame(gameFrame);
+}
+
+function stopLoop() {
+  if (loopHandle !== null) cancelAnimationFrame(loopHandle);
+  loopHandle = null;
+}
+
+function gameFrame(now) {
+  frameAccumulator += Math.max(0, Math.min(now - lastFrameTime, STEP_MS * MAX_STEPS_PER_FRAME));
+  lastFrameTime = now;
+  while (gameRunning && frameAccumulator >= STEP_MS) {
+    // Playback feeds in the recorded moves; a live round reads the held keys and sticks
+    if (replayData) applyReplayInputs();
+    else applyHeldControls();
+    stepGame();
+    frameAccumulator -= STEP_MS;
+  }
+  renderDrops();
+  loopHandle = gameRunning ? requestAnimationFrame(gameFrame) : null;
+}
+
+// Advance the game by one fixed step
+function stepGame() {
+  stepCount++;
+  simTime += STEP_MS;
+  if (spawning && simTime >= nextSpawnAt) {
+    // storms shorten the gap and droughts stretch it (see Weather Events)
+    nextSpawnAt += spawnInterval * weatherSpawnFactor();
+    createDrop();
+  }
+  moveDrops();
+  updateEffects();
+  updateWeather();
+  // Survival ends as soon as the last life is lost
+  if (currentMode.survival && lives <= 0) {
+    endGame();
+    return;
+  }
+  if (simTime >= nextTickAt) {
+    nextTickAt += 1000;
+    clockTick();
+    saveSnapshot(); // once a second, so a reload can bring the round back
+  }
+}
+
 // =====================
 // Create a falling drop
 // =====================
+// Active drops are plain objects: { id, el, type, typeName, x, y, size, speed, points }
+// with x, y and size in logical field units. Their <img> elements are reused
+// from dropPool instead of being created and removed for every drop.
+const initialSize = 60;  // logical size of a 1x drop
+const activeDrops = [];
+const dropPool = [];
+
 function createDrop() {
+  // Daily rounds give each spawn its own generator, so a drop never depends
+  // on what happened earlier in the round; other rounds share the run's one
+  const draw = currentMode.daily ? dailyDropRng(spawnCount) : random;
+  spawnCount++;
   // Respect max active-drop cap: don't create more than allowed
-  try {
-    const activeCount = gameContainer.querySelectorAll('.water-drop, .bad-drop').length;
-    if (typeof maxActiveDrops === 'number' && activeCount >= maxActiveDrops) return;
-  } catch (err) {
-    // If query fails, allow creation (fallback)
-  }
+  if (activeDrops.length >= maxActiveDrops) return;
   // Randomly decide if this is a bad drop (obstacle) based on per-difficulty chance
   // Compute a dynamic bad-drop chance: base + milestone increases + time-scaling
-  const maxTimeScale = timeScaleMaxPerDifficulty[difficulty] || 0.08;
-  const timeProgress = Math.max(0, Math.min(1, 1 - timeLeft / timeLimit)); // 0 at start, 1 at end
+  const maxTimeScale = currentMode.timeScaleMax;
+  // 0 at start, 1 at end (survival keeps climbing past 1)
+  const timeProgress = currentMode.survival ? survivalTimeProgress() : Math.max(0, Math.min(1, 1 - timeLeft / timeLimit));
   const timeScale = maxTimeScale * timeProgress;
-  const dynamicChance = Math.min(0.95, badDropChance + milestoneBadIncrease + timeScale);
-  const isBad = Math.random() < dynamicChance;
-  // Create a new IMG element that will be our water drop (uses Drop.png)
-  const drop = document.createElement("img");
-  // Use a different image for bad drops
-  if (isBad) {
-    drop.src = "img/Bad_Drop.png";
-    drop.className = "water-drop bad-drop";
-  } else {
-    drop.src = "img/Drop.png";
-    drop.className = "water-drop";
-  }
+  // Acid rain adds its own bonus on top while it lasts
+  const dynamicChance = Math.min(0.95, badDropChance + milestoneBadIncrease + timeScale + weatherBadBonus());
+  const isBad = draw() < dynamicChance;
+  // Good drops may turn out to be a power-up
+  const typeName = isBad ? 'bad' : pickGoodDropType(draw());
+  const type = dropTypes[typeName];
 
   // Make drops different sizes for visual variety
-  const initialSize = 60;
   // Wider size range so we get noticeably bigger drops (0.5x to 1.8x)
-  const sizeMultiplier = Math.random() * 1.3 + 0.5; // 0.5 to 1.8
+  const sizeMultiplier = draw() * 1.3 + 0.5; // 0.5 to 1.8
   const size = initialSize * sizeMultiplier;
-  drop.style.width = drop.style.height = `${size}px`;
-  // Images shouldn't have the extra padding/margin used for divs
-  drop.style.padding = "0";
-  drop.style.margin = "0";
-
-  // Position the drop randomly across the game width
-  // Subtract 60 pixels to keep drops fully inside the container
-  const gameWidth = gameContainer.offsetWidth;
-  // Use the actual size so the drop stays fully inside the container
+
+  // Position the drop randomly across the logical field width
+  // Use the actual size so the drop stays fully inside the field
   const maxX = Math.max(0, gameWidth - size);
-  const xPosition = Math.random() * maxX;
-  drop.style.left = xPosition + "px";
+  const xPosition = draw() * maxX;
 
-  // Make drops fall for 2 seconds
   // Larger drops fall faster: duration inversely proportional to size
   const baseDuration = 2.4; // seconds for base size
   const duration = Math.max(0.8, baseDuration * (initialSize / size));
-  drop.style.animationDuration = duration + "s";
-
-  // Add the new drop to the game screen
-  gameContainer.appendChild(drop);
-
-  // Make drops clickable so players can collect them directly
-  drop.addEventListener('click', function collectDrop(e) {
-    if (!gameRunning) return;
-    // Points already computed on animationend logic, so reuse that calculation here
-    const dropLeft = parseFloat(drop.style.left);
-    const dropRight = dropLeft + size;
-    let points = 1;
-    if (size > initialSize * 1.3) points = 3;
-    else if (size > initialSize * 0.9) points = 2;
-    // Update score and show popup
-    score += (isBad ? -points : points);
-    score = Math.max(0, score);
-    scoreEl.textContent = score;
-  // play collect/miss sound and check milestones
-  if (isBad) playSfx(sfxMiss); else playSfx(sfxCollect);
-  checkMilestone();
-  showScorePopup(e.clientX, e.clientY, (isBad ? `-${points}` : `+${points}`));
-    // Remove the drop element
-    drop.removeEventListener('click', collectDrop);
-    drop.remove();
-  });
-
-  // Check for catch when drop reaches bottom
-  drop.addEventListener("animationend", () => {
-    const canLeft = canX;
-    const canRight = canX + canWidth;
-    const dropLeft = parseFloat(drop.style.left);
-    const dropRight = dropLeft + size;
-  // Points based on size: small=1, medium=2, large=3
-  let points = 1;
-  if (size > initialSize * 1.3) points = 3; // biggest
-  else if (size > initialSize * 0.9) points = 2; // medium
-    if (gameRunning && dropRight > canLeft && dropLeft < canRight) {
-      if (isBad) {
-        score = Math.max(0, score - points);
-        waterCan.style.filter = "brightness(0.7)";
-        playSfx(sfxMiss);
-      } else {
-        score += points;
-        waterCan.style.filter = "brightness(1.2)";
-        playSfx(sfxCollect);
-      }
-      scoreEl.textContent = score;
-      checkMilestone();
-      setTimeout(() => waterCan.style.filter = "", 150);
-    }
-    drop.remove();
-  });
+
+  const drop = {
+    id: nextDropId++, // numbered so recorded clicks can find it again
+    el: acquireDropElement(),
+    x: xPosition,
+    y: -20,
+    size: size,
+    // cover the field (from just above the top to off the bottom) in `duration`
+    speed: (gameHeight + 20) / (duration * 1000) * runSpeed,
+    type: type,
+    typeName: typeName,
+    // droughts make every drop worth more (good or bad)
+    points: dropPoints(size) * weatherPointsFactor()
+  };
+  addDrop(drop);
+  emitGameEvent('drop_spawned', { id: drop.id, type: typeName, x: drop.x, size: drop.size });
 }
 
-// Simple confetti effect for win
-function showConfetti() {
-  for (let i = 0; i < 40; i++) {
-    const confetti = document.createElement("div");
-    confetti.style.position = "fixed";
-    confetti.style.left = Math.random() * 100 + "%";
-    confetti.style.top = "-20px";
-    confetti.style.width = "12px";
-    confetti.style.height = "12px";
-    confetti.style.background = `hsl(${Math.random()*360},80%,60%)`;
-    confetti.style.borderRadius = "50%";
-    confetti.style.zIndex = 9999;
-    confetti.style.pointerEvents = "none";
-    confetti.style.transition = "top 1.2s linear";
-    document.body.appendChild(confetti);
-    setTimeout(() => {
-      confetti.style.top = "100vh";
-    }, 10);
-    setTimeout(() => confetti.remove(), 1300);
-  }
+// Put a drop in play (new drops, and drops brought back by a resumed round)
+function addDrop(drop) {
+  // Each type brings its own image (or the theme's) and extra class (bad-drop, golden-drop, ...)
+  setDropImage(drop.el, dropSprite(drop.typeName));
+  drop.el.className = drop.type.className ? `water-drop ${drop.type.className}` : "water-drop";
+  sizeDropElement(drop);
+  activeDrops.push(drop);
 }
 
-// Show a floating score popup at client coordinates
-function showScorePopup(clientX, clientY, text) {
-  const popup = document.createElement('div');
-  popup.className = 'score-popup';
-  popup.textContent = text;
-  document.body.appendChild(popup);
-  // Position the popup slightly above the cursor
-  popup.style.left = (clientX - 10) + 'px';
-  popup.style.top = (clientY - 20) + 'px';
-  // Remove after animation
-  setTimeout(() => popup.remove(), 900);
+// Points based on size: small=1, medium=2, large=3
+function dropPoints(size) {
+  if (size > initialSize * 1.3) return 3; // biggest
+  if (size > initialSize * 0.9) return 2; // medium
+  return 1;
 }
 
-// Show a temporary milestone banner (advances nextMilestoneIndex)
-function showMilestone(message) {
-  if (!milestoneBanner) return;
-  milestoneBanner.textContent = message;
-  milestoneBanner.classList.remove('hidden');
-  // force reflow for transition
-  void milestoneBanner.offsetWidth;
-  milestoneBanner.classList.add('show');
-  // Hide after 2.2s
-  setTimeout(() => {
-    milestoneBanner.classList.remove('show');
-    setTimeout(() => milestoneBanner.classList.add('hidden'), 260);
-  }, 2200);
+// Size bucket name used by the stats breakdown
+function sizeName(size) {
+  return ['small', 'medium', 'large'][dropPoints(size) - 1];
 }
 
-function checkMilestone() {
-  if (!activeMilestones || nextMilestoneIndex >= activeMilestones.length) return;
-  const m = activeMilestones[nextMilestoneIndex];
-  if (score >= m.score) {
-    showMilestone(m.message);
-    playSfx(sfxButton); // playful chime
-    // bump the bad-drop chance slightly when players hit milestones
-    const bump = milestoneBumpPerDifficulty[difficulty] || 0.04;
-    milestoneBadIncrease = Math.min(0.5, milestoneBadIncrease + bump);
-    nextMilestoneIndex++;
-  }
+// Only touch src when it changes so pooled images don't reload
+function setDropImage(el, src) {
+  if (el.getAttribute('src') !== src) el.src = src;
 }
 
-// End the game
-function endGame() {
-  // Stop all intervals
-  clearInterval(dropMaker);
-  clearInterval(timerInterval);
+function acquireDropElement() {
+  const el = dropPool.pop() || document.createElement("img");
+  el.alt = "";
+  el.draggable = false;
+  if (!el.parentNode) gameContainer.appendChild(el);
+  el.hidden = false;
+  return el;
+}
 
-  // Update state
-  gameRunning = false;
-  startBtn.disabled = false;
+// Take a drop out of play and hide its element for reuse
+function releaseDrop(drop) {
+  const index = activeDrops.indexOf(drop);
+  if (index !== -1) activeDrops.splice(index, 1);
+  drop.el.hidden = true;
+  dropPool.push(drop.el);
+}
 
-  // Show message overlay with random text
-  const didWin = score >= winScore;
-  const messages = didWin ? winMessages : loseMessages;
-  const randomIndex = Math.floor(Math.random() * messages.length);
-  const messageText = messages[randomIndex];
+// Remove every drop (new round, reset, end of game)
+function clearDrops() {
+  while (activeDrops.length) releaseDrop(activeDrops[activeDrops.length - 1]);
+}
 
-  // Update overlay UI
-  // Build a prominent result line showing score / goal and difficulty
-  if (didWin) {
-    endMessageEl.innerHTML = `<div class="result-line">You reached ${score}/${winScore} — ${difficulty} mode!</div><div class="message-detail">${messageText}</div>`;
+// Move every drop one step and check it against the can.
+// The drop's box is shrunk a little because the sprites have transparent edges.
+const DROP_HITBOX_INSET = 0.15;
+function moveDrops() {
+  const canTop = gameHeight - canHeight;
+  for (let i = activeDrops.length - 1; i >= 0; i--) {
+    const drop = activeDrops[i];
+    drop.y += drop.speed * STEP_MS;
+    // wind pushes before the can check, so catches use where the drop really is
+    if (weather && weather.wind) blowDrop(drop);
+    if (activeEffects.magnet && drop.type.good) pullTowardCan(drop);
+    if (!drop.type.good && !drop.warned) warnIfBadDropNear(drop);
+    const inset = drop.size * DROP_HITBOX_INSET;
+    const dropLeft = drop.x + inset;
+    const dropRight = drop.x + drop.size - inset;
+    const dropBottom = drop.y + drop.size - inset;
+    const inCanOne = dropBottom > canTop && dropRight > canX && dropLeft < canX + canWidth;
+    const inCanTwo = twoPlayer && dropBottom > canTop && dropRight > can2X && dropLeft < can2X + canWidth;
+    if (inCanOne || inCanTwo) {
+      // A drop touching both cans goes to the can whose center is closer
+      const dropCenter = drop.x + drop.size / 2;
+      const twoIsCloser = Math.abs(dropCenter - (can2X + canWidth / 2)) < Math.abs(dropCenter - (canX + canWidth / 2));
+      catchDrop(drop, inCanTwo && (!inCanOne || twoIsCloser) ? 2 : 1);
+    } else if (drop.y >= gameHeight) {
+      // fell past the bottom without touching the can
+      if (drop.type.good) missGoodDrop();
+      releaseDrop(drop);
+      emitGameEvent('drop_missed', { id: drop.id, type: drop.typeName, good: drop.type.good });
+    }
+  }
+}
+
+// Score a caught or clicked drop. The drop's type decides the points (and
+// any power-up effect), so new types never need changes here. Good drops
+// build the streak and get the multiplier; a bad hit breaks the streak.
+// `how` is 'can' or 'click' and only feeds the end-of-round stats.
+// `player` (1 or 2) says whose score changes; clicks always count for player one.
+function scoreDrop(drop, how, player) {
+  let change = drop.type.collect(drop);
+  if (drop.type.good) {
+    streak++;
+    runStats.longestStreak = Math.max(runStats.longestStreak, streak);
+    change *= streakMultiplier();
+    if (how === 'can') runStats.caughtByCan++; else runStats.clicked++;
+    runStats.pointsBySize[sizeName(drop.size)] += change;
+  } else if (change < 0) {
+    // a shield-blocked hit (change 0) doesn't count against the player
+    runStats.badHits++;
+    breakStreak();
+    loseLife();
+  }
+  renderStreak();
+  if (player === 2) {
+    score2 = Math.max(0, score2 + change);
+    score2El.textContent = score2;
   } else {
-    endMessageEl.innerHTML = `<div class="result-line">You scored ${score}/${winScore} — ${difficulty} mode</div><div class="message-detail">${messageText}</div>`;
+    score = Math.max(0, score + change);
+    scoreEl.textContent = score;
   }
-  overlay.classList.remove("hidden");
-  overlay.setAttribute("aria-hidden", "false");
-  overlay.style.display = "flex";
-  playAgainBtn.focus();
+  // play collect/miss sound and check milestones
+  if (drop.type.good) playCue('collect'); else playCue('bad');
+  checkMilestone();
+  releaseDrop(drop);
+  return change;
+}
 
-  // Show confetti if win
-  if (didWin) showConfetti();
-  // Play win sound (try element, then fetch, then synth fallback)
-  if (didWin) playWinAudio();
+// A drop touched a can (player 1 or 2)
+function catchDrop(drop, player) {
+  const can = player === 2 ? waterCan2 : waterCan;
+  can.style.filter = drop.type.good ? "brightness(1.2)" : "brightness(0.7)";
+  setTimeout(() => can.style.filter = "", 150);
+  const change = scoreDrop(drop, 'can', player);
+  emitGameEvent('drop_caught', { id: drop.id, type: drop.typeName, good: drop.type.good, change: change, player: player });
 }
 
-// Try to play the win audio element, fall back to fetching a local file, then to a synth chime
-async function playWinAudio() {
-  try {
-    // First, try the audio element directly
-    if (sfxWin && sfxWin.src) {
-      try {
-        // load in case it wasn't loaded
-        if (typeof sfxWin.load === 'function') sfxWin.load();
-        const p = sfxWin.play();
-        if (p && typeof p.catch === 'function') {
-          await p.catch(async () => { throw new Error('element-play-failed'); });
-        }
-        return;
-      } catch (err) {
-        // fall through to fetch
-      }
+// A drop was clicked or tapped
+function collectDrop(drop, clientX, clientY) {
+  recordEvent('click', drop.id);
+  const change = scoreDrop(drop, 'click', 1);
+  emitGameEvent('drop_clicked', { id: drop.id, type: drop.typeName, good: drop.type.good, change: change });
+  // Show a popup: +points, -points, or a note when the shield blocked it
+  const text = change > 0 ? `+${change}` : (change < 0 ? `${change}` : t('popup.blocked'));
+  showScorePopup(clientX, clientY, text);
+}
+
+// Make drops clickable so players can collect them directly.
+// One listener on the container serves every pooled drop element.
+gameContainer.addEventListener('click', (e) => {
+  // During a replay only the recorded clicks count, not real ones,
+  // and in two-player mode clicks are off so nobody can steal the other's drops
+  if (!gameRunning || gamePaused || replayData || twoPlayer) return;
+  const drop = activeDrops.find((d) => d.el === e.target);
+  if (drop) collectDrop(drop, e.clientX, e.clientY);
+});
+
+// Draw every active drop at its current position
+function renderDrops() {
+  for (let i = 0; i < activeDrops.length; i++) {
+    const drop = activeDrops[i];
+    drop.el.style.transform = `translate3d(${drop.x * fieldScale}px, ${drop.y * fieldScale}px, 0)`;
+  }
+}
+
+// ====================
+// Streaks & Run Stats
+// ====================
+// Every good drop caught or clicked in a row adds to the streak. The streak
+// raises a multiplier (x2 at 5, x3 at 10, up to x4) on good-drop points.
+// Hitting a bad drop or letting a good drop fall past breaks it.
+const STREAK_STEP = 5;      // catches per multiplier level
+const MAX_MULTIPLIER = 4;
+let streak = 0;
+let runStats = null;        // filled in by resetStreakAndStats()
+const comboEl = document.getElementById('combo');
+
+function streakMultiplier() {
+  if (twoPlayer) return 1;
+  return Math.min(MAX_MULTIPLIER, 1 + Math.floor(streak / STREAK_STEP));
+}
+
+function breakStreak() {
+  streak = 0;
+  renderStreak();
+}
+
+// A good drop fell past the can
+function missGoodDrop() {
+  runStats.goodMissed++;
+  breakStreak();
+  loseLife();
+}
+
+function resetStreakAndStats() {
+  streak = 0;
+  runStats = {
+    caughtByCan: 0,
+    clicked: 0,
+    badHits: 0,
+    goodMissed: 0,
+    longestStreak: 0,
+    pointsBySize: { small: 0, medium: 0, large: 0 }
+  };
+  renderStreak();
+}
+
+// Show the streak and multiplier next to the score (hidden until a streak starts)
+function renderStreak() {
+  if (!comboEl) return;
+  if (streak < 2 || twoPlayer) {
+    comboEl.textContent = '';
+    comboEl.classList.remove('hot');
+    return;
+  }
+  const multiplier = streakMultiplier();
+  const streakText = t('streak.count', { count: streak });
+  comboEl.textContent = multiplier > 1 ? t('streak.multiplied', { multiplier: multiplier, streak: streakText }) : streakText;
+  comboEl.classList.toggle('hot', multiplier > 1);
+}
+
+// Accuracy = good drops collected out of every good drop that reached the
+// player plus every bad drop they hit
+function runAccuracy() {
+  const good = runStats.caughtByCan + runStats.clicked;
+  const total = good + runStats.goodMissed + runStats.badHits;
+  return total ? Math.round((good / total) * 100) : 0;
+}
+
+// End-of-round breakdown shown in the overlay
+function buildStatsHtml() {
+  const p = runStats.pointsBySize;
+  const rows = [
+    [t('stats.caught'), runStats.caughtByCan],
+    [t('stats.clicked'), runStats.clicked],
+    [t('stats.badHits'), runStats.badHits],
+    [t('stats.missed'), runStats.goodMissed],
+    [t('stats.longest'), runStats.longestStreak],
+    [t('stats.accuracy'), `${runAccuracy()}%`],
+    [t('stats.bySize'), t('stats.sizes', p)]
+  ];
+  const items = rows.map((row) => `<dt>${row[0]}</dt><dd>${row[1]}</dd>`).join('');
+  return `<dl class="run-stats">${items}</dl>`;
+}
+
+// ======================
+// Drop Types & Power-ups
+// ======================
+// Every kind of drop is one entry here. collect(drop) runs when the drop is
+// caught or clicked and returns the score change; power-ups also start their
+// effect there. To add a type, add an entry and give it a chance in each
+// mode's powerUpChances.
+const dropTypes = {
+  good: {
+    image: 'img/Drop.png', className: '', good: true,
+    collect: (drop) => drop.points
+  },
+  bad: {
+    image: 'img/Bad_Drop.png', className: 'bad-drop', good: false,
+    // a shield soaks up the hit instead of the score
+    collect: (drop) => (useShield() ? 0 : -drop.points)
+  },
+  golden: {
+    image: 'img/Drop.png', className: 'power-drop golden-drop', good: true,
+    collect: (drop) => drop.points * 3
+  },
+  clock: {
+    image: 'img/Drop.png', className: 'power-drop clock-drop', good: true,
+    collect: (drop) => {
+      addTime(5);
+      return drop.points;
     }
-    // Next, try to fetch the file directly (if it exists on the server)
-    try {
-      const resp = await fetch('audio/win.mp3');
-      if (resp.ok) {
-        const blob = await resp.blob();
-        const url = URL.createObjectURL(blob);
-        const a = new Audio(url);
-        try { await a.play(); } catch (e) {}
-        URL.revokeObjectURL(url);
-        return;
-      }
-    } catch (err) {
-      // fetch failed; continue to synth fallback
+  },
+  wide: {
+    image: 'img/Drop.png', className: 'power-drop wide-drop', good: true,
+    collect: (drop) => {
+      startEffect('wide');
+      return drop.points;
     }
-  } catch (err) {
-    // ignore and fallback
+  },
+  shield: {
+    image: 'img/Drop.png', className: 'power-drop shield-drop', good: true,
+    collect: (drop) => {
+      startEffect('shield');
+      return drop.points;
+    }
+  },
+  magnet: {
+    image: 'img/Drop.png', className: 'power-drop magnet-drop', good: true,
+    collect: (drop) => {
+      startEffect('magnet');
+      return drop.points;
+    }
+  }
+};
+
+// Turn a 0-1 roll into a good-drop type using the mode's weighted chances
+function pickGoodDropType(roll) {
+  const chances = currentMode.powerUpChances || {};
+  let total = 0;
+  for (const name of Object.keys(chances)) {
+    total += chances[name];
+    if (dropTypes[name] && roll < total) return dropTypeAllowed(name) ? name : 'good';
   }
-  // Last resort: play a short celebratory chime using WebAudio
-  playBeepSequence();
+  return 'good';
 }
 
-// Play a short sequence of beeps as a chime
-function playBeepSequence() {
-  try {
-    playBeep(880, 0.12, 'sine');
-    setTimeout(() => playBeep(1100, 0.12, 'sine'), 160);
-    setTimeout(() => playBeep(1320, 0.16, 'sine'), 320);
-  } catch (err) {}
+// Some power-ups don't fit every round, so they fall as plain drops instead:
+// - two-player: wide, shield and magnet would only help player one's can
+// - survival: there's no countdown for the clock to add time to
+function dropTypeAllowed(name) {
+  if (twoPlayer && effectDefs[name]) return false;
+  if (currentMode.survival && name === 'clock') return false;
+  return true;
+}
+
+// Clock drop: extra seconds (spawning restarts if it had stopped for the finish)
+function addTime(seconds) {
+  timeLeft += seconds;
+  timeEl.textContent = timeLeft;
+  if (timeLeft > 2) spawning = true;
+}
+
+// Timed effects. start/end run when an effect begins and finishes;
+// durations are in game time, so pausing the game pauses them too.
+const effectDefs = {
+  wide: {
+    labelKey: 'effects.wide', duration: 8000,
+    start: () => setCanWidth(baseCanWidth * 1.6),
+    end: () => setCanWidth(baseCanWidth)
+  },
+  shield: {
+    // lasts until a bad drop hits it, or runs out
+    labelKey: 'effects.shield', duration: 15000,
+    start: () => waterCan.classList.add('shielded'),
+    end: () => waterCan.classList.remove('shielded')
+  },
+  magnet: {
+    labelKey: 'effects.magnet', duration: 8000,
+    start: () => waterCan.classList.add('magnetic'),
+    end: () => waterCan.classList.remove('magnetic')
+  }
+};
+let activeEffects = {}; // effect name -> ms remaining
+const effectsBar = document.getElementById('effects-bar');
+
+// Start an effect, or top it back up if it's already running
+function startEffect(name) {
+  if (activeEffects[name] === undefined) effectDefs[name].start();
+  activeEffects[name] = effectDefs[name].duration;
+  renderEffects();
+}
+
+function endEffect(name) {
+  if (activeEffects[name] === undefined) return;
+  delete activeEffects[name];
+  effectDefs[name].end();
+  renderEffects();
+}
+
+// End every effect (called when a round ends or restarts)
+function clearEffects() {
+  Object.keys(activeEffects).forEach(endEffect);
+}
+
+// Count effects down by one game-loop step
+function updateEffects() {
+  Object.keys(activeEffects).forEach((name) => {
+    const before = Math.ceil(activeEffects[name] / 1000);
+    activeEffects[name] -= STEP_MS;
+    if (activeEffects[name] <= 0) endEffect(name);
+    else if (Math.ceil(activeEffects[name] / 1000) !== before) renderEffects();
+  });
+}
+
+// Show each active effect with its seconds left in the score panel
+function renderEffects() {
+  if (!effectsBar) return;
+  const chips = Object.keys(activeEffects).map((name) => {
+    const seconds = Math.ceil(activeEffects[name] / 1000);
+    return `<span class="effect-chip effect-${name}">${t('effects.timer', { label: t(effectDefs[name].labelKey), seconds: seconds })}</span>`;
+  });
+  // The current weather event (if any) gets a chip too
+  if (weather) {
+    const seconds = Math.ceil(weather.msLeft / 1000);
+    chips.unshift(`<span class="effect-chip weather-chip">${t('effects.timer', { label: t(weatherDefs[weather.name].labelKey), seconds: seconds })}</span>`);
+  }
+  effectsBar.innerHTML = chips.join('');
+}
+
+// Shield: returns true (and uses the shield up) if one was active
+function useShield() {
+  if (activeEffects.shield === undefined) return false;
+  endEffect('shield');
+  return true;
+}
+
+// Resize the can around its center, keeping it inside the field
+function setCanWidth(width) {
+  const center = canX + canWidth / 2;
+  canWidth = width;
+  canX = Math.max(0, Math.min(gameWidth - canWidth, center - canWidth / 2));
+  renderCan();
+}
+
+// Magnet: slide good drops in the lower part of the field toward the can
+const MAGNET_RANGE = 220;  // logical units either side of the can's center
+const MAGNET_PULL = 0.25;  // logical units per ms
+function pullTowardCan(drop) {
+  if (drop.y < gameHeight * 0.35) return;
+  const dropCenter = drop.x + drop.size / 2;
+  const canCenter = canX + canWidth / 2;
+  const gap = canCenter - dropCenter;
+  if (Math.abs(gap) > MAGNET_RANGE) return;
+  const step = Math.min(Math.abs(gap), MAGNET_PULL * STEP_MS);
+  drop.x += Math.sign(gap) * step;
+}
+
+// Simple confetti effect for win
+function showConfetti() {
+  if (a11ySettings.reducedMotion) return;
+  // The theme picks the colours, shape and amount (random colours if it has none)
+  const style = activeTheme.confetti || {};
+  const colors = style.colors && style.colors.length ? style.colors : null;
+  const count = style.count || 40;
+  for (let i = 0; i < count; i++) {
+    const confetti = document.createElement("div");
+    confetti.style.position = "fixed";
+    confetti.style.left = Math.random() * 100 + "%";
+    confetti.style.top = "-20px";
+    confetti.style.width = "12px";
+    confetti.style.height = "12px";
+    confetti.style.background = colors ? colors[Math.floor(Math.random() * colors.length)] : `hsl(${Math.random()*360},80%,60%)`;
+    confetti.style.borderRadius = style.shape === 'square' ? "2px" : "50%";
+    confetti.style.zIndex = 9999;
+    confetti.style.pointerEvents = "none";
+    confetti.style.transition = "top 1.2s linear";
+    document.body.appendChild(confetti);
+    setTimeout(() => {
+      confetti.style.top = "100vh";
+    }, 10);
+    setTimeout(() => confetti.remove(), 1300);
+  }
+}
+
+// Show a floating score popup at client coordinates
+function showScorePopup(clientX, clientY, text) {
+  const popup = document.createElement('div');
+  popup.className = 'score-popup';
+  popup.textContent = text;
+  document.body.appendChild(popup);
+  // Position the popup slightly above the cursor
+  popup.style.left = (clientX - 10) + 'px';
+  popup.style.top = (clientY - 20) + 'px';
+  // Remove after animation
+  setTimeout(() => popup.remove(), 900);
+}
+
+// Show a temporary milestone banner (advances nextMilestoneIndex)
+function showMilestone(message) {
+  if (!milestoneBanner) return;
+  milestoneBanner.textContent = message;
+  milestoneBanner.classList.remove('hidden');
+  // force reflow for transition
+  void milestoneBanner.offsetWidth;
+  milestoneBanner.classList.add('show');
+  // Hide after 2.2s
+  setTimeout(() => {
+    milestoneBanner.classList.remove('show');
+    setTimeout(() => milestoneBanner.classList.add('hidden'), 260);
+  }, 2200);
+}
+
+function checkMilestone() {
+  if (!activeMilestones || nextMilestoneIndex >= activeMilestones.length) return;
+  const m = activeMilestones[nextMilestoneIndex];
+  if (topScore() >= m.score) {
+    showMilestone(milestoneText(m));
+    playCue('milestone'); // playful chime
+    // bump the bad-drop chance slightly when players hit milestones
+    const bump = currentMode.milestoneBump;
+    milestoneBadIncrease = Math.min(0.5, milestoneBadIncrease + bump);
+    nextMilestoneIndex++;
+    emitGameEvent('milestone_reached', { score: topScore(), milestone: m.score });
+  }
+}
+
+// End the game
+function endGame() {
+  // Stop all intervals
+  stopLoop();
+  clearSnapshot();
+  stopMusic();
+  clearDrops();
+  clearEffects();
+  clearWeather();
+
+  // Update state
+  gameRunning = false;
+  startBtn.disabled = false;
+  if (pauseBtn) pauseBtn.disabled = true;
+
+  // Show message overlay with random text
+  // (with two players, the round is a win if either player reached the goal;
+  // in survival, a new best time counts as the win)
+  const survival = currentMode.survival ? finishSurvivalRound(!replayData) : null;
+  const didWin = survival ? survival.newBest : topScore() >= winScore;
+  // (a facilitator can replace the built-in lists for their class)
+  const messages = classroomMessages(didWin) || tList(didWin ? 'end.win' : 'end.lose');
+  const randomIndex = Math.floor(random() * messages.length);
+  // (escaped: a facilitator's own messages go into innerHTML below)
+  const messageText = escapeHtml(messages[randomIndex]);
+
+  // Update overlay UI
+  // Build a prominent result line showing score / goal and difficulty
+  // (two players always get the winner line, survival rounds too)
+  if (twoPlayer) {
+    endMessageEl.innerHTML = `${buildTwoPlayerResult()}${survival ? survival.html : ''}<div class="message-detail">${messageText}</div>`;
+  } else if (survival) {
+    endMessageEl.innerHTML = `${survival.html}<div class="message-detail">${messageText}</div>`;
+  } else {
+    const resultText = t(didWin ? 'end.won' : 'end.lost', { score: score, goal: winScore, mode: escapeHtml(modeLabel(currentMode)) });
+    endMessageEl.innerHTML = `<div class="result-line">${resultText}</div><div class="message-detail">${messageText}</div>`;
+  }
+  // Break the run down below the message
+  endMessageEl.innerHTML += buildStatsHtml();
+  endMessageEl.innerHTML += buildFactCardHtml(didWin);
+  const dailyRound = currentMode.daily && !replayData;
+  if (dailyRound) endMessageEl.innerHTML += finishDailyRound();
+  // Save this run as a replay, or check a finished replay against its recording
+  const wasReplay = !!replayData;
+  if (wasReplay) {
+    const matched = score === replayData.score && score2 === (replayData.score2 || 0);
+    endMessageEl.innerHTML += `<div class="replay-check ${matched ? 'match' : 'mismatch'}">${t('replay.check', { score: score, recorded: replayData.score })} ${matched ? '✓' : '✗'}</div>`;
+    finishReplay();
+  } else {
+    lastReplay = eventsLost ? null : buildReplay();
+    if (!twoPlayer && !survival) rememberResult(didWin);
+    else if (shareBtn) shareBtn.classList.add('hidden');
+  }
+  updateReplayButtons();
+  // Offer a leaderboard spot for real one-player runs; replays just show the table
+  // (survival keeps its own best-time record instead, and classroom rounds go to the roster)
+  showRunLeaderboard(didWin, !wasReplay && !twoPlayer && !survival && !(dailyRound && dailyPractice) && !classroom.enabled);
+  if (dailyRound) startDailyCountdown();
+  overlay.classList.remove("hidden");
+  overlay.setAttribute("aria-hidden", "false");
+  overlay.style.display = "flex";
+  playAgainBtn.focus();
+
+  // Show confetti if win
+  if (didWin) showConfetti();
+  // Play the win or lose cue from the current sound theme
+  playCue(didWin ? 'win' : 'lose');
+
+  emitGameEvent('game_ended', {
+    modeId: difficulty,
+    score: score,
+    score2: score2,
+    won: didWin,
+    replay: wasReplay,
+    twoPlayer: twoPlayer,
+    survival: !!currentMode.survival,
+    seconds: Math.round(simTime / 1000),
+    stats: Object.assign({}, runStats)
+  });
 }
 
 // ============================
 // Reset everything and restart
 // ============================
 function resetAndStart() {
+  resetRound();
+  // Start the game
+  startGame();
+}
+
+// Stop anything still running and clear the board, ready for a new start
+function resetRound() {
   // Always hide overlay and allow game play
+  stopDailyCountdown();
   overlay.classList.add("hidden");
   overlay.setAttribute("aria-hidden", "true");
   overlay.style.display = "none";
 
+  // Stop a round (or replay) that is still running
+  stopLoop();
+  clearSnapshot();
+  stopMusic();
+  if (replayData) finishReplay();
+  gameRunning = false;
+  hidePauseOverlay();
+
   // Reset score and timer
   score = 0;
+  resetPlayerTwo();
   nextMilestoneIndex = 0;
   // Reset time to the current difficulty's timeLimit
   timeLeft = timeLimit;
   scoreEl.textContent = score;
   timeEl.textContent = timeLeft;
 
-  // Remove any leftover drops from the container
-  const leftovers = gameContainer.querySelectorAll(".water-drop, .bad-drop");
-  leftovers.forEach(el => el.remove());
-
-  // Start the game
-  startGame();
+  // Remove any leftover drops and end power-up effects and weather
+  clearDrops();
+  clearEffects();
+  clearWeather();
 }
 
 // Make water can follow mouse horizontally
-gameContainer.addEventListener("mousemove", function(e) {
-  if (!gameRunning) return;
-  // Get mouse X relative to game container
+// (touch and pen are handled by the drag/tap controls below)
+// (players can turn this off in the Controls settings)
+gameContainer.addEventListener("pointermove", function(e) {
+  if (!gameRunning || gamePaused || replayData || twoPlayer || e.pointerType !== 'mouse' || !controls.mouseFollow) return;
+  // Center the can under the mouse (moveCanTo keeps it inside the game area)
+  moveCanTo(clientToFieldX(e.clientX) - canWidth / 2);
+});
+
+// ===================================
+// Field Scaling & Touch/Pen Controls
+// ===================================
+// Convert a screen x coordinate into logical field units
+function clientToFieldX(clientX) {
   const rect = gameContainer.getBoundingClientRect();
-  let mouseX = e.clientX - rect.left;
-  // Clamp can position so it stays inside the game area
-  canX = Math.max(0, Math.min(gameWidth - canWidth, mouseX - canWidth / 2));
-  waterCan.style.left = canX + "px";
+  return (clientX - rect.left - gameContainer.clientLeft) / fieldScale;
+}
+
+// Draw the can at its logical position and size
+function renderCan() {
+  waterCan.style.left = canX * fieldScale + "px";
+  waterCan.style.width = canWidth * fieldScale + "px";
+  waterCan.style.height = canHeight * fieldScale + "px";
+  if (waterCan2) {
+    waterCan2.style.left = can2X * fieldScale + "px";
+    waterCan2.style.width = canWidth * fieldScale + "px";
+    waterCan2.style.height = canHeight * fieldScale + "px";
+  }
+}
+
+// Size a drop's element to its logical size
+function sizeDropElement(drop) {
+  drop.el.style.width = drop.el.style.height = `${drop.size * fieldScale}px`;
+}
+
+// Work out the scale from the container's current size and redraw everything.
+// The container keeps a 4:3 shape, so one scale works for both directions.
+function updateFieldScale() {
+  const width = gameContainer.clientWidth;
+  if (!width) return;
+  fieldScale = width / gameWidth;
+  renderCan();
+  activeDrops.forEach(sizeDropElement);
+  renderDrops();
+}
+
+window.addEventListener('resize', updateFieldScale);
+window.addEventListener('orientationchange', updateFieldScale);
+if (window.ResizeObserver) new ResizeObserver(updateFieldScale).observe(gameContainer);
+updateFieldScale();
+
+// Touch/pen: drag anywhere to slide the can, or tap the left/right half of
+// the field to step it. Taps on drops are left alone so they still collect.
+const TAP_MAX_MOVE = 10;   // px a finger can wander and still count as a tap
+const TAP_MAX_TIME = 300;  // ms
+let activePointer = null;  // { id, startX, startTime, dragging }
+
+gameContainer.addEventListener('pointerdown', (e) => {
+  if (!gameRunning || gamePaused || replayData || twoPlayer || e.pointerType === 'mouse' || activePointer) return;
+  if (e.target.classList.contains('water-drop')) return;
+  activePointer = { id: e.pointerId, startX: e.clientX, startTime: performance.now(), dragging: false };
+  if (gameContainer.setPointerCapture) gameContainer.setPointerCapture(e.pointerId);
+});
+
+gameContainer.addEventListener('pointermove', (e) => {
+  if (!activePointer || e.pointerId !== activePointer.id || !gameRunning || gamePaused || replayData) return;
+  if (!activePointer.dragging && Math.abs(e.clientX - activePointer.startX) > TAP_MAX_MOVE) {
+    activePointer.dragging = true;
+  }
+  if (activePointer.dragging) moveCanTo(clientToFieldX(e.clientX) - canWidth / 2);
+});
+
+gameContainer.addEventListener('pointerup', (e) => {
+  if (!activePointer || e.pointerId !== activePointer.id) return;
+  const wasTap = !activePointer.dragging && performance.now() - activePointer.startTime <= TAP_MAX_TIME;
+  activePointer = null;
+  if (!wasTap || !gameRunning || gamePaused || replayData) return;
+  if (clientToFieldX(e.clientX) < gameWidth / 2) moveCanTo(canX - canStep);
+  else moveCanTo(canX + canStep);
+});
+
+gameContainer.addEventListener('pointercancel', () => {
+  activePointer = null;
 });
 
 // Reset button
 resetBtn.onclick = function() {
-  playSfx(sfxButton);
+  playCue('button');
   resetAndStart();
 };
 
@@ -561,40 +2465,2779 @@ playAgainBtn.onclick = function() {
   overlay.classList.add("hidden");
   overlay.setAttribute("aria-hidden", "true");
   overlay.style.display = "none";
-  playSfx(sfxButton);
+  playCue('button');
   resetAndStart();
 };
 
 // Try a New Mode: reset UI to allow picking a mode without starting the game
 if (tryNewModeBtn) {
   tryNewModeBtn.onclick = function() {
+    stopDailyCountdown();
     overlay.classList.add("hidden");
     overlay.setAttribute("aria-hidden", "true");
     overlay.style.display = "none";
     // Remove existing drops
-    const leftovers = gameContainer.querySelectorAll('.water-drop, .bad-drop');
-    leftovers.forEach(el => el.remove());
+    clearDrops();
     // Reset score and display time to selected mode but don't start
     score = 0;
     scoreEl.textContent = score;
-    // Read selected difficulty and set time/goal accordingly
-    const selected = difficultySelect ? difficultySelect.value : 'Normal';
-    if (selected === 'Easy') { timeLimit = 60; winScore = 12; }
-    else if (selected === 'Normal') { timeLimit = 45; winScore = 20; }
-    else if (selected === 'Hard') { timeLimit = 35; winScore = 28; }
-    timeLeft = timeLimit;
-    timeEl.textContent = timeLeft;
-    if (winGoalEl) winGoalEl.textContent = winScore;
-  // Update milestone set & caps for the selected mode (don't start yet)
-  activeMilestones = milestoneConfigs[selected] || milestoneConfigs['Normal'];
-  // set sensible caps for preview
-  if (selected === 'Easy') { maxActiveDrops = 12; badDropChance = 0.08; }
-  else if (selected === 'Normal') { maxActiveDrops = 18; badDropChance = 0.18; }
-  else if (selected === 'Hard') { maxActiveDrops = 28; badDropChance = 0.28; }
-  nextMilestoneIndex = 0;
-  // reset any dynamic difficulty increases for preview
-  milestoneBadIncrease = 0;
+    resetPlayerTwo();
+    // Load the selected mode's time, goal, milestones and caps (don't start yet)
+    applyMode(difficultySelect ? difficultySelect.value : difficulty);
+    showModePreview();
     // Focus the difficulty select so the user can change mode if desired
     if (difficultySelect) difficultySelect.focus();
   };
 }
+
+// ===================
+// Custom Mode Editor
+// ===================
+const editModeBtn = document.getElementById('edit-mode-btn');
+const modeEditor = document.getElementById('mode-editor');
+const modeEditorForm = document.getElementById('mode-editor-form');
+const modeEditorStatus = document.getElementById('mode-editor-status');
+const modeShareBtn = document.getElementById('mode-share-btn');
+const modeDeleteBtn = document.getElementById('mode-delete-btn');
+const modeCloseBtn = document.getElementById('mode-close-btn');
+
+// Fields shown as percentages in the form but stored as 0-1 fractions
+const percentFields = ['badDropChance', 'timeScaleMax', 'milestoneBump'];
+// Id of the custom mode opened in the editor (null when starting from a built-in mode)
+let editingModeId = null;
+
+// Fill the form with a mode (the current one, so built-in modes are a starting point)
+function fillModeForm(mode) {
+  const f = modeEditorForm.elements;
+  f.label.value = mode.custom ? mode.label : t('editor.defaultName', { mode: modeLabel(mode) });
+  ['timeLimit', 'winScore', 'spawnInterval', 'maxActiveDrops', 'weatherEvery'].forEach((key) => {
+    f[key].value = mode[key];
+  });
+  percentFields.forEach((key) => {
+    f[key].value = Math.round(mode[key] * 100);
+  });
+  f.milestones.value = mode.milestones.map((m) => m.score).join(', ');
+  modeDeleteBtn.disabled = !mode.custom;
+  modeEditorStatus.textContent = '';
+}
+
+// Read the form back into a clean custom mode
+function readModeForm() {
+  const f = modeEditorForm.elements;
+  const raw = { label: f.label.value, milestones: f.milestones.value };
+  ['timeLimit', 'winScore', 'spawnInterval', 'maxActiveDrops', 'weatherEvery'].forEach((key) => {
+    raw[key] = f[key].value;
+  });
+  percentFields.forEach((key) => {
+    raw[key] = Number(f[key].value) / 100;
+  });
+  return sanitizeCustomMode(raw);
+}
+
+function openModeEditor() {
+  if (gameRunning) return; // don't change the rules mid-round
+  editingModeId = currentMode.custom ? difficulty : null;
+  fillModeForm(currentMode);
+  modeEditor.classList.remove('hidden');
+  modeEditor.setAttribute('aria-hidden', 'false');
+  modeEditorForm.elements.label.focus();
+}
+
+function closeModeEditor() {
+  modeEditor.classList.add('hidden');
+  modeEditor.setAttribute('aria-hidden', 'true');
+  if (editModeBtn) editModeBtn.focus();
+}
+
+if (editModeBtn && modeEditor) {
+  editModeBtn.addEventListener('click', openModeEditor);
+  modeCloseBtn.addEventListener('click', closeModeEditor);
+
+  // Save & Use: store the mode, add it to the select and switch to it
+  modeEditorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const mode = readModeForm();
+    if (!mode) return;
+    const id = customModeId(mode.label);
+    customModes[id] = mode;
+    saveCustomModes();
+    renderModeOptions();
+    selectMode(id);
+    closeModeEditor();
+  });
+
+  // Copy a link that opens the game with this mode loaded
+  modeShareBtn.addEventListener('click', () => {
+    const mode = readModeForm();
+    if (!mode) return;
+    const url = `${window.location.origin}${window.location.pathname}?${modeToQuery(mode)}`;
+    const done = () => { modeEditorStatus.textContent = t('editor.copied'); };
+    const fail = () => { modeEditorStatus.textContent = url; };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(done, fail);
+    } else {
+      fail();
+    }
+  });
+
+  // Delete the custom mode being edited and fall back to Normal
+  modeDeleteBtn.addEventListener('click', () => {
+    if (!editingModeId || !customModes[editingModeId]) return;
+    delete customModes[editingModeId];
+    saveCustomModes();
+    applyMode(difficulty); // resolves to Normal if the deleted mode was selected
+    renderModeOptions();
+    selectMode(difficulty);
+    closeModeEditor();
+  });
+
+  // Escape closes the editor
+  modeEditor.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeModeEditor();
+  });
+}
+
+// ========
+// Replays
+// ========
+// A replay is the seed plus the player's inputs (can moves and drop clicks),
+// each stamped with the game-loop step it happened after. The loop runs in
+// fixed steps, so feeding the same inputs back at the same steps with the
+// same seed recreates the same drops, catches and score.
+const REPLAY_VERSION = 3;
+const loadReplayBtn = document.getElementById('load-replay-btn');
+const replayFileInput = document.getElementById('replay-file');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const saveReplayBtn = document.getElementById('save-replay-btn');
+
+// Add an input to the current run's log (ignored while watching a replay)
+function recordEvent(type, value) {
+  if (!gameRunning || replayData) return;
+  recordedEvents.push([stepCount, type, value]);
+}
+
+// Package the run that just ended
+function buildReplay() {
+  return {
+    version: REPLAY_VERSION,
+    seed: runSeed,
+    modeId: difficulty,
+    mode: currentMode,
+    score: score,
+    score2: score2,
+    players: twoPlayer ? 2 : 1,
+    winScore: winScore,
+    speed: runSpeed,
+    recordedAt: new Date().toISOString(),
+    events: recordedEvents
+  };
+}
+
+// Check a parsed replay file has everything playback needs
+function isValidReplay(data) {
+  if (!data || data.version !== REPLAY_VERSION) return false;
+  if (!Number.isFinite(data.seed) || !Number.isFinite(data.score)) return false;
+  if (!data.mode || typeof data.modeId !== 'string' || !Array.isArray(data.events)) return false;
+  const numbers = ['timeLimit', 'winScore', 'spawnInterval', 'maxActiveDrops', 'badDropChance', 'timeScaleMax', 'milestoneBump'];
+  if (!numbers.every((key) => Number.isFinite(data.mode[key]))) return false;
+  if (!Array.isArray(data.mode.milestones) || !data.mode.powerUpChances) return false;
+  return data.events.every((ev) => Array.isArray(ev) && Number.isFinite(ev[0]) && typeof ev[1] === 'string');
+}
+
+// A replay file may have been edited by hand, so its mode is rebuilt before
+// use: built-in modes must name a real built-in (their label and badge come
+// from the registry) and custom modes go through sanitizeCustomMode() like
+// any other custom mode. Returns null for a mode that can't be used.
+function cleanReplayMode(mode) {
+  if (mode.labelKey) {
+    const id = Object.keys(builtInModes).find((key) => builtInModes[key].labelKey === mode.labelKey);
+    if (!id) return null;
+    return Object.assign({}, mode, { label: builtInModes[id].label, badge: builtInModes[id].badge });
+  }
+  const clean = sanitizeCustomMode(mode);
+  // Replays saved before weather existed must stay calm
+  if (mode.weatherEvery === undefined) delete clean.weatherEvery;
+  return clean;
+}
+
+// Play a replay back in the game container
+function startReplay(replay) {
+  resetRound();
+  replayData = replay;
+  startGame();
+}
+
+// Leave playback mode (called when a replay ends or is interrupted)
+function finishReplay() {
+  lastReplay = replayData;
+  replayData = null;
+  gameContainer.classList.remove('replaying');
+  clearDrops();
+}
+
+// Apply the recorded inputs that happened before the next step
+function applyReplayInputs() {
+  const events = replayData.events;
+  while (replayIndex < events.length && events[replayIndex][0] <= stepCount) {
+    applyReplayEvent(events[replayIndex]);
+    replayIndex++;
+  }
+}
+
+function applyReplayEvent(ev) {
+  const type = ev[1];
+  const value = ev[2];
+  if (type === 'move') {
+    canX = value;
+    renderCan();
+  } else if (type === 'move2') {
+    can2X = value;
+    renderCan();
+  } else if (type === 'click') {
+    const drop = activeDrops.find((d) => d.id === value);
+    if (!drop) return;
+    // Use the middle of the drop so the score popup shows in the right place
+    const rect = drop.el.getBoundingClientRect();
+    collectDrop(drop, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+}
+
+// Show Watch/Save only when there is a finished run to use
+function updateReplayButtons() {
+  if (watchReplayBtn) watchReplayBtn.classList.toggle('hidden', !lastReplay);
+  if (saveReplayBtn) saveReplayBtn.classList.toggle('hidden', !lastReplay);
+}
+
+// Download the last run as a JSON file
+function saveReplay() {
+  if (!lastReplay) return;
+  const blob = new Blob([JSON.stringify(lastReplay)], { type: 'application/json' });
+  downloadBlob(blob, `water-drop-replay-${lastReplay.seed}.json`);
+}
+
+// Save a blob as a file through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+if (watchReplayBtn) {
+  watchReplayBtn.onclick = function() {
+    if (!lastReplay) return;
+    playCue('button');
+    startReplay(lastReplay);
+  };
+}
+
+if (saveReplayBtn) saveReplayBtn.onclick = saveReplay;
+
+// Load a replay file and play it straight away
+if (loadReplayBtn && replayFileInput) {
+  loadReplayBtn.onclick = function() {
+    if (gameRunning) return;
+    replayFileInput.click();
+  };
+  replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      const data = JSON.parse(text);
+      if (!isValidReplay(data)) throw new Error('invalid replay');
+      data.mode = cleanReplayMode(data.mode);
+      if (!data.mode) throw new Error('invalid replay');
+      startReplay(data);
+    }).catch(() => {
+      showMilestone(t('replay.badFile'));
+    });
+  });
+}
+
+updateReplayButtons();
+
+// ============
+// Leaderboard
+// ============
+// Top 10 runs per mode, saved in localStorage as { modeId: [entry, ...] }.
+// Each entry is { initials, score, goal, won, date } with date as an ISO string.
+const LEADERBOARD_KEY = 'wd_leaderboard';
+const LEADERBOARD_SIZE = 10;
+const initialsForm = document.getElementById('initials-form');
+const initialsInput = document.getElementById('initials-input');
+const leaderboardEl = document.getElementById('leaderboard');
+const leaderboardActions = document.getElementById('leaderboard-actions');
+const exportScoresBtn = document.getElementById('export-scores-btn');
+const importScoresBtn = document.getElementById('import-scores-btn');
+const importScoresFile = document.getElementById('import-scores-file');
+const clearScoresBtn = document.getElementById('clear-scores-btn');
+
+// The run waiting for initials: { modeId, entry }
+let pendingScore = null;
+// Mode shown in the table, and the entry to highlight in it
+let leaderboardModeId = 'Normal';
+let highlightedEntry = null;
+
+function loadLeaderboards() {
+  try {
+    const data = JSON.parse(localStorage.getItem(LEADERBOARD_KEY) || '{}');
+    return data && typeof data === 'object' ? data : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function saveLeaderboards(boards) {
+  try {
+    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(boards));
+  } catch (err) {
+    // storage full or blocked; scores just won't persist
+  }
+}
+
+// Keep only well-formed entries (imported files may contain anything)
+function cleanEntry(raw) {
+  if (!raw || !Number.isFinite(raw.score) || !Number.isFinite(raw.goal)) return null;
+  const initials = String(raw.initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+  const date = new Date(raw.date);
+  if (!initials || isNaN(date.getTime())) return null;
+  return { initials: initials, score: raw.score, goal: raw.goal, won: !!raw.won, date: date.toISOString() };
+}
+
+// Highest score first; on a tie the earlier run keeps the higher spot
+function sortBoard(board) {
+  return board.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+}
+
+// Does this score earn a spot on the mode's board?
+function qualifiesForBoard(modeId, runScore) {
+  if (runScore <= 0) return false;
+  const board = loadLeaderboards()[modeId] || [];
+  return board.length < LEADERBOARD_SIZE || runScore > board[board.length - 1].score;
+}
+
+function addToBoard(modeId, entry) {
+  const boards = loadLeaderboards();
+  const board = sortBoard((boards[modeId] || []).concat(entry));
+  boards[modeId] = board.slice(0, LEADERBOARD_SIZE);
+  saveLeaderboards(boards);
+}
+
+// Draw the table for a mode, highlighting the just-saved entry if any
+function renderLeaderboard() {
+  if (!leaderboardEl) return;
+  const board = loadLeaderboards()[leaderboardModeId] || [];
+  const label = escapeHtml(modeLabel(getMode(leaderboardModeId))); // custom names may contain "<"
+  if (!board.length) {
+    leaderboardEl.innerHTML = `<p class="leaderboard-empty">${t('leaderboard.empty', { mode: label })}</p>`;
+  } else {
+    const rows = board.map((entry, i) => {
+      const isNew = highlightedEntry && entry.date === highlightedEntry.date && entry.initials === highlightedEntry.initials;
+      const day = new Date(entry.date).toLocaleDateString(language);
+      return `<tr class="${isNew ? 'new-entry' : ''}"><td>${i + 1}</td><td>${entry.initials}</td><td>${entry.score}/${entry.goal}</td><td>${t(entry.won ? 'leaderboard.win' : 'leaderboard.loss')}</td><td>${day}</td></tr>`;
+    }).join('');
+    leaderboardEl.innerHTML = `<table><caption>${t('leaderboard.title', { size: LEADERBOARD_SIZE, mode: label })}</caption><thead><tr><th>${t('leaderboard.rank')}</th><th>${t('leaderboard.name')}</th><th>${t('leaderboard.score')}</th><th>${t('leaderboard.result')}</th><th>${t('leaderboard.date')}</th></tr></thead><tbody>${rows}</tbody></table>`;
+  }
+  leaderboardEl.classList.remove('hidden');
+  if (leaderboardActions) leaderboardActions.classList.remove('hidden');
+}
+
+// Called from endGame(): ask for initials if the run qualifies, otherwise show the table
+function showRunLeaderboard(didWin, canEnter) {
+  leaderboardModeId = difficulty;
+  highlightedEntry = null;
+  pendingScore = null;
+  if (canEnter && qualifiesForBoard(difficulty, score)) {
+    pendingScore = {
+      modeId: difficulty,
+      entry: { initials: '', score: score, goal: winScore, won: didWin, date: new Date().toISOString() }
+    };
+    leaderboardEl.classList.add('hidden');
+    leaderboardActions.classList.add('hidden');
+    initialsForm.classList.remove('hidden');
+    initialsInput.value = localStorage.getItem('wd_last_initials') || '';
+    initialsInput.focus();
+    initialsInput.select();
+  } else {
+    initialsForm.classList.add('hidden');
+    renderLeaderboard();
+  }
+}
+
+if (initialsForm) {
+  initialsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!pendingScore) return;
+    const entry = cleanEntry(Object.assign({}, pendingScore.entry, { initials: initialsInput.value }));
+    if (!entry) {
+      initialsInput.focus();
+      return;
+    }
+    addToBoard(pendingScore.modeId, entry);
+    localStorage.setItem('wd_last_initials', entry.initials);
+    highlightedEntry = entry;
+    pendingScore = null;
+    initialsForm.classList.add('hidden');
+    renderLeaderboard();
+    playAgainBtn.focus();
+  });
+}
+
+// Export every board so another machine can merge it in
+if (exportScoresBtn) {
+  exportScoresBtn.onclick = function() {
+    const data = { version: 1, exportedAt: new Date().toISOString(), boards: loadLeaderboards() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'water-drop-scores.json');
+  };
+}
+
+// Merge another machine's boards into ours, skipping entries we already have
+function mergeLeaderboards(incoming) {
+  const boards = loadLeaderboards();
+  Object.keys(incoming).forEach((modeId) => {
+    if (!Array.isArray(incoming[modeId])) return;
+    const board = (boards[modeId] || []).slice();
+    incoming[modeId].forEach((raw) => {
+      const entry = cleanEntry(raw);
+      if (!entry) return;
+      const duplicate = board.some((e) => e.initials === entry.initials && e.score === entry.score && e.date === entry.date);
+      if (!duplicate) board.push(entry);
+    });
+    boards[modeId] = sortBoard(board).slice(0, LEADERBOARD_SIZE);
+  });
+  saveLeaderboards(boards);
+}
+
+if (importScoresBtn && importScoresFile) {
+  importScoresBtn.onclick = function() {
+    importScoresFile.click();
+  };
+  importScoresFile.addEventListener('change', () => {
+    const file = importScoresFile.files[0];
+    importScoresFile.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      const data = JSON.parse(text);
+      if (!data || !data.boards || typeof data.boards !== 'object') throw new Error('invalid scores');
+      mergeLeaderboards(data.boards);
+      renderLeaderboard();
+    }).catch(() => {
+      showMilestone(t('leaderboard.badFile'));
+    });
+  });
+}
+
+// Clear the board for the mode being shown
+if (clearScoresBtn) {
+  clearScoresBtn.onclick = function() {
+    const label = modeLabel(getMode(leaderboardModeId));
+    if (!window.confirm(t('leaderboard.confirmClear', { mode: label }))) return;
+    const boards = loadLeaderboards();
+    delete boards[leaderboardModeId];
+    saveLeaderboards(boards);
+    highlightedEntry = null;
+    renderLeaderboard();
+  };
+}
+
+// ===============
+// Pause & Resume
+// ===============
+// Pausing simply stops the game loop: the countdown, spawning and every
+// falling drop live inside it, so they all freeze together.
+const resumeBtn = document.getElementById('resume-btn');
+const restartBtn = document.getElementById('restart-btn');
+const quitBtn = document.getElementById('quit-btn');
+
+function pauseGame() {
+  if (!gameRunning || gamePaused) return;
+  gamePaused = true;
+  stopLoop();
+  stopMusic();
+  activePointer = null;
+  if (pauseBtn) pauseBtn.textContent = t('buttons.resume');
+  if (pauseOverlay) {
+    pauseOverlay.classList.remove('hidden');
+    pauseOverlay.setAttribute('aria-hidden', 'false');
+    if (resumeBtn) resumeBtn.focus();
+  }
+}
+
+function resumeGame() {
+  if (!gameRunning || !gamePaused) return;
+  hidePauseOverlay();
+  // startLoop resets the frame clock so the paused time isn't "caught up"
+  startLoop();
+  startMusic();
+}
+
+function togglePause() {
+  if (gamePaused) resumeGame(); else pauseGame();
+}
+
+function hidePauseOverlay() {
+  gamePaused = false;
+  if (pauseBtn) pauseBtn.textContent = t('buttons.pause');
+  if (!pauseOverlay) return;
+  pauseOverlay.classList.add('hidden');
+  pauseOverlay.setAttribute('aria-hidden', 'true');
+}
+
+// Quit: abandon the round without a result and go back to picking a mode
+function quitGame() {
+  stopLoop();
+  clearSnapshot();
+  stopMusic();
+  if (replayData) finishReplay();
+  gameRunning = false;
+  hidePauseOverlay();
+  startBtn.disabled = false;
+  if (pauseBtn) pauseBtn.disabled = true;
+  clearDrops();
+  clearEffects();
+  clearWeather();
+  score = 0;
+  scoreEl.textContent = score;
+  resetPlayerTwo();
+  applyMode(difficultySelect ? difficultySelect.value : difficulty);
+  showModePreview();
+  startBtn.focus();
+}
+
+// The pause key (P unless rebound) or Escape pauses and resumes
+window.addEventListener('keydown', (e) => {
+  if (!gameRunning) return;
+  if (isBoundKey(e, 'pause') || e.key === 'Escape') {
+    e.preventDefault();
+    togglePause();
+  }
+});
+
+if (pauseBtn) pauseBtn.onclick = togglePause;
+if (resumeBtn) resumeBtn.onclick = resumeGame;
+if (restartBtn) {
+  restartBtn.onclick = function() {
+    playCue('button');
+    resetAndStart();
+  };
+}
+if (quitBtn) quitBtn.onclick = quitGame;
+
+// Pause automatically when the player switches tabs or windows
+// (and save the round, in case the tab is closed or reloaded from here)
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    pauseGame();
+    saveSnapshot(true);
+  }
+});
+window.addEventListener('blur', pauseGame);
+
+// ===============
+// Sound Controls
+// ===============
+const muteBtn = document.getElementById('mute-btn');
+const masterVolumeInput = document.getElementById('master-volume');
+const effectsVolumeInput = document.getElementById('effects-volume');
+const musicVolumeInput = document.getElementById('music-volume');
+const soundThemeSelect = document.getElementById('sound-theme');
+const musicToggle = document.getElementById('music-toggle');
+
+// Show the saved settings in the controls
+function renderSoundControls() {
+  if (muteBtn) {
+    muteBtn.textContent = t(soundSettings.muted ? 'buttons.unmute' : 'buttons.mute');
+    muteBtn.setAttribute('aria-pressed', String(soundSettings.muted));
+  }
+  if (masterVolumeInput) masterVolumeInput.value = Math.round(soundSettings.master * 100);
+  if (effectsVolumeInput) effectsVolumeInput.value = Math.round(soundSettings.effects * 100);
+  if (musicVolumeInput) musicVolumeInput.value = Math.round(soundSettings.music * 100);
+  if (musicToggle) musicToggle.checked = soundSettings.musicOn;
+  if (soundThemeSelect) {
+    soundThemeSelect.innerHTML = '';
+    Object.keys(soundThemes).forEach((id) => {
+      soundThemeSelect.appendChild(new Option(t(soundThemes[id].labelKey), id));
+    });
+    soundThemeSelect.value = soundThemes[soundSettings.theme] ? soundSettings.theme : 'classic';
+  }
+}
+
+// Save a change, apply it to the live audio and start/stop the music to match
+function updateSoundSetting(key, value) {
+  soundSettings[key] = value;
+  saveSoundSettings();
+  applySoundSettings();
+  if (gameRunning && !gamePaused && soundSettings.musicOn && !soundSettings.muted) startMusic();
+  else stopMusic();
+  renderSoundControls();
+}
+
+if (muteBtn) {
+  muteBtn.onclick = function() {
+    updateSoundSetting('muted', !soundSettings.muted);
+  };
+}
+
+// Sliders go 0-100 in the page and 0-1 in the settings
+[[masterVolumeInput, 'master'], [effectsVolumeInput, 'effects'], [musicVolumeInput, 'music']].forEach((pair) => {
+  const input = pair[0];
+  if (!input) return;
+  input.addEventListener('input', () => updateSoundSetting(pair[1], Number(input.value) / 100));
+});
+
+if (soundThemeSelect) {
+  soundThemeSelect.addEventListener('change', () => {
+    updateSoundSetting('theme', soundThemeSelect.value);
+    playCue('collect'); // preview the new theme
+  });
+}
+
+if (musicToggle) {
+  musicToggle.addEventListener('change', () => updateSoundSetting('musicOn', musicToggle.checked));
+}
+
+renderSoundControls();
+
+// ==============
+// Accessibility
+// ==============
+// Settings saved in localStorage:
+// - announce: read score, time warnings and nearby bad drops to screen readers
+// - markers: add shape/pattern markers so drop types don't rely on colour
+// - reducedMotion: slower drops and no confetti (defaults to the OS setting)
+// - gameSpeed: how fast drops fall, 0.5 to 1.5
+const A11Y_SETTINGS_KEY = 'wd_a11y';
+const prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+const a11ySettings = loadA11ySettings();
+const REDUCED_MOTION_SPEED = 0.7; // extra slow-down while reduced motion is on
+
+const politeAnnouncer = document.getElementById('sr-announcer');
+const urgentAnnouncer = document.getElementById('sr-alert');
+const announceToggle = document.getElementById('announce-toggle');
+const markersToggle = document.getElementById('markers-toggle');
+const reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+const gameSpeedInput = document.getElementById('game-speed');
+const gameSpeedValue = document.getElementById('game-speed-value');
+let lastAnnouncedScore = 0;
+let lastAnnouncedScore2 = 0;
+
+function loadA11ySettings() {
+  const defaults = { announce: true, markers: false, reducedMotion: !!prefersReducedMotion, gameSpeed: 1 };
+  try {
+    return Object.assign(defaults, JSON.parse(localStorage.getItem(A11Y_SETTINGS_KEY) || '{}'));
+  } catch (err) {
+    return defaults;
+  }
+}
+
+function saveA11ySettings() {
+  try {
+    localStorage.setItem(A11Y_SETTINGS_KEY, JSON.stringify(a11ySettings));
+  } catch (err) {
+    // storage blocked; settings last for this visit only
+  }
+}
+
+// Drop speed factor for a new run
+function dropSpeedSetting() {
+  const speed = Math.max(0.5, Math.min(1.5, Number(a11ySettings.gameSpeed) || 1));
+  return a11ySettings.reducedMotion ? speed * REDUCED_MOTION_SPEED : speed;
+}
+
+// Say something through a live region. Urgent messages interrupt.
+function announce(text, urgent) {
+  const region = urgent ? urgentAnnouncer : politeAnnouncer;
+  if (!a11ySettings.announce || !region) return;
+  // clear first so repeating the same text is still announced
+  region.textContent = '';
+  setTimeout(() => { region.textContent = text; }, 50);
+}
+
+// Once a second: announce a changed score, and warn as time runs low
+function announceTick() {
+  if (timeLeft === 10 || timeLeft === 5) {
+    announce(t('announce.time', { count: timeLeft }), true);
+  } else if (twoPlayer && (score !== lastAnnouncedScore || score2 !== lastAnnouncedScore2)) {
+    announce(t('announce.twoScores', { one: score, two: score2 }));
+  } else if (!twoPlayer && score !== lastAnnouncedScore) {
+    announce(t('announce.score', { score: score }));
+  }
+  lastAnnouncedScore = score;
+  lastAnnouncedScore2 = score2;
+}
+
+// Warn once per bad drop when it's getting close to the can
+function warnIfBadDropNear(drop) {
+  if (drop.y < gameHeight * 0.4) return;
+  const dropCenter = drop.x + drop.size / 2;
+  const canCenter = canX + canWidth / 2;
+  if (Math.abs(dropCenter - canCenter) > canWidth) return;
+  drop.warned = true;
+  announce(t(dropCenter < canCenter ? 'announce.badRight' : 'announce.badLeft'), true);
+}
+
+// Apply settings to the page
+function applyA11ySettings() {
+  document.body.classList.toggle('drop-markers', !!a11ySettings.markers);
+  document.body.classList.toggle('reduced-motion', !!a11ySettings.reducedMotion);
+  if (announceToggle) announceToggle.checked = !!a11ySettings.announce;
+  if (markersToggle) markersToggle.checked = !!a11ySettings.markers;
+  if (reducedMotionToggle) reducedMotionToggle.checked = !!a11ySettings.reducedMotion;
+  if (gameSpeedInput) gameSpeedInput.value = Math.round(a11ySettings.gameSpeed * 100);
+  if (gameSpeedValue) gameSpeedValue.textContent = `${Math.round(a11ySettings.gameSpeed * 100)}%`;
+}
+
+function updateA11ySetting(key, value) {
+  a11ySettings[key] = value;
+  saveA11ySettings();
+  applyA11ySettings();
+}
+
+if (announceToggle) announceToggle.addEventListener('change', () => updateA11ySetting('announce', announceToggle.checked));
+if (markersToggle) markersToggle.addEventListener('change', () => updateA11ySetting('markers', markersToggle.checked));
+if (reducedMotionToggle) reducedMotionToggle.addEventListener('change', () => updateA11ySetting('reducedMotion', reducedMotionToggle.checked));
+if (gameSpeedInput) gameSpeedInput.addEventListener('input', () => updateA11ySetting('gameSpeed', Number(gameSpeedInput.value) / 100));
+
+applyA11ySettings();
+
+// Keyboard flow: with the can focused, the start key (Enter unless rebound) or Space starts a round
+waterCan.addEventListener('keydown', (e) => {
+  if (gameRunning || (!isBoundKey(e, 'start') && e.key !== ' ')) return;
+  e.preventDefault();
+  startGame();
+});
+
+// Keep Tab inside whichever dialog is open so keyboard users can't get lost behind it
+function trapFocus(dialog) {
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab') return;
+    const focusable = Array.from(dialog.querySelectorAll('button, input, select, a[href], [tabindex]:not([tabindex="-1"])'))
+      .filter((el) => !el.disabled && el.offsetParent !== null);
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+}
+
+[overlay, pauseOverlay, modeEditor].forEach((dialog) => {
+  if (dialog) trapFocus(dialog);
+});
+
+// Escape on the results screen goes back to picking a mode
+overlay.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && tryNewModeBtn && e.target !== initialsInput) tryNewModeBtn.click();
+});
+
+// =============
+// Achievements
+// =============
+// Unlike milestones, achievements are kept forever in localStorage.
+// Each one is a definition with a check(progress, run) function:
+// - progress: lifetime totals saved between sessions
+// - run: this round so far ({ modeId, ended, won, stats })
+// checkAchievements() runs after every scored drop and again when a round
+// ends, so adding an achievement only means adding an entry here (plus its
+// name and description in the catalogs as achievements.<id>.name / .desc).
+const ACHIEVEMENTS_KEY = 'wd_achievements';
+const achievementDefs = [
+  { id: 'first-win', icon: '🏆', check: (progress, run) => run.ended && run.won },
+  { id: 'win-hard', icon: '🔥', check: (progress, run) => run.ended && run.won && run.modeId === 'Hard' },
+  { id: 'streak-10', icon: '🎯', check: (progress, run) => run.stats.longestStreak >= 10 },
+  { id: 'no-clicks', icon: '🪣', check: (progress, run) => run.ended && run.stats.clicked === 0 && run.stats.caughtByCan > 0 },
+  { id: 'all-modes', icon: '🗺️', check: (progress) => ['Easy', 'Normal', 'Hard'].every((id) => progress.modesPlayed.includes(id)) },
+  { id: 'drops-1000', icon: '💧', check: (progress) => progress.lifetimeDrops >= 1000 }
+];
+
+let achievementProgress = loadAchievementProgress();
+let toastQueue = [];   // unlock messages waiting for the banner
+let toastShowing = false;
+
+function loadAchievementProgress() {
+  const progress = { unlocked: {}, lifetimeDrops: 0, modesPlayed: [] };
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+    if (saved && typeof saved === 'object') {
+      if (saved.unlocked && typeof saved.unlocked === 'object') progress.unlocked = saved.unlocked;
+      progress.lifetimeDrops = Math.max(0, Number(saved.lifetimeDrops) || 0);
+      if (Array.isArray(saved.modesPlayed)) progress.modesPlayed = saved.modesPlayed;
+    }
+  } catch (e) {
+    // broken save: start fresh
+  }
+  return progress;
+}
+
+function saveAchievementProgress() {
+  try {
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievementProgress));
+  } catch (e) {
+    // storage full or blocked: unlocks still show, they just aren't kept
+  }
+}
+
+// Test every locked achievement against the current round
+function checkAchievements(ended, won) {
+  // watching a replay doesn't earn anything, and two-player rounds aren't one person's
+  if (replayData || twoPlayer) return;
+  const run = { modeId: difficulty, ended: !!ended, won: !!won, stats: runStats };
+  let unlockedAny = false;
+  achievementDefs.forEach((def) => {
+    if (achievementProgress.unlocked[def.id] || !def.check(achievementProgress, run)) return;
+    achievementProgress.unlocked[def.id] = new Date().toISOString();
+    unlockedAny = true;
+    queueToast(`${def.icon} ${t('achievements.unlocked', { name: t(`achievements.${def.id}.name`) })}`);
+  });
+  if (unlockedAny) saveAchievementProgress();
+}
+
+// A good drop was collected: count it toward the lifetime total
+function countAchievementDrop() {
+  if (replayData) return;
+  achievementProgress.lifetimeDrops++;
+  checkAchievements(false, false);
+}
+
+// At the end of a real run: remember the mode, then check end-of-round achievements.
+// Two-player rounds don't count toward one player's modes either.
+function finishAchievementRun(didWin) {
+  if (replayData || twoPlayer) return;
+  if (!achievementProgress.modesPlayed.includes(difficulty)) achievementProgress.modesPlayed.push(difficulty);
+  saveAchievementProgress();
+  checkAchievements(true, didWin);
+}
+
+// Listen to the game instead of being called from it
+onGameEvent('drop_caught', (e) => { if (e.good) countAchievementDrop(); });
+onGameEvent('drop_clicked', (e) => { if (e.good) countAchievementDrop(); });
+// A new survival best isn't a goal win, so it doesn't count for the win achievements
+onGameEvent('game_ended', (e) => finishAchievementRun(e.won && !e.survival));
+
+// Show unlock toasts one at a time through the milestone banner
+function queueToast(message) {
+  toastQueue.push(message);
+  if (!toastShowing) showNextToast();
+}
+
+function showNextToast() {
+  const message = toastQueue.shift();
+  if (!message) {
+    toastShowing = false;
+    return;
+  }
+  toastShowing = true;
+  showMilestone(message);
+  setTimeout(showNextToast, 2600);
+}
+
+// Trophy case: every achievement, locked or unlocked, with its unlock date
+const trophiesBtn = document.getElementById('trophies-btn');
+const trophyCase = document.getElementById('trophy-case');
+const trophyList = document.getElementById('trophy-list');
+const trophyCloseBtn = document.getElementById('trophy-close-btn');
+
+function renderTrophyCase() {
+  if (!trophyList) return;
+  const count = Object.keys(achievementProgress.unlocked).length;
+  const items = achievementDefs.map((def) => {
+    const date = achievementProgress.unlocked[def.id];
+    const status = date
+      ? t('achievements.unlockedOn', { date: new Date(date).toLocaleDateString(language) })
+      : t('achievements.locked');
+    return `<li class="trophy ${date ? 'unlocked' : 'locked'}"><span class="trophy-icon" aria-hidden="true">${def.icon}</span><div><strong>${t(`achievements.${def.id}.name`)}</strong><p>${t(`achievements.${def.id}.desc`)}</p><small>${status}</small></div></li>`;
+  }).join('');
+  trophyList.innerHTML = `<p class="trophy-count">${t('achievements.count', { count: count, total: achievementDefs.length })}</p><ul>${items}</ul>`;
+}
+
+function openTrophyCase() {
+  renderTrophyCase();
+  trophyCase.classList.remove('hidden');
+  trophyCase.setAttribute('aria-hidden', 'false');
+  trophyCloseBtn.focus();
+}
+
+function closeTrophyCase() {
+  trophyCase.classList.add('hidden');
+  trophyCase.setAttribute('aria-hidden', 'true');
+  if (trophiesBtn) trophiesBtn.focus();
+}
+
+if (trophiesBtn && trophyCase) {
+  trophiesBtn.addEventListener('click', openTrophyCase);
+  trophyCloseBtn.addEventListener('click', closeTrophyCase);
+  trophyCase.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeTrophyCase();
+  });
+  trapFocus(trophyCase);
+}
+
+// ==============
+// Impact Tracker
+// ==============
+// Turns drops into (illustrative) clean-water numbers so the score means
+// something outside the round. The lifetime total is the same one the
+// achievements keep, so a drop is only ever counted once.
+// Change these rates to tell a different story:
+// - litersPerDrop: how many liters one collected drop stands for
+// - litersPerFamilyDay: water a family of five uses in a day (20 L each)
+const impactRates = {
+  litersPerDrop: 2,
+  litersPerFamilyDay: 100
+};
+const FACT_INDEX_KEY = 'wd_fact_index';
+
+const impactEls = document.querySelectorAll('.impact-counter');
+
+// Work out the impact units for a number of drops
+function impactFor(drops) {
+  const liters = drops * impactRates.litersPerDrop;
+  return { drops: drops, liters: liters, familyDays: liters / impactRates.litersPerFamilyDay };
+}
+
+function formatNumber(value, digits) {
+  return new Intl.NumberFormat(language, { maximumFractionDigits: digits || 0 }).format(value);
+}
+
+// Refresh the running counter in both side panels
+function renderImpact() {
+  const impact = impactFor(achievementProgress.lifetimeDrops);
+  const html = `<strong>${t('impact.title')}</strong>`
+    + `<span>${t('impact.drops', { count: impact.drops, value: formatNumber(impact.drops) })}</span>`
+    + `<span>${t('impact.liters', { count: impact.liters, value: formatNumber(impact.liters) })}</span>`
+    + `<span>${t('impact.familyDays', { count: impact.familyDays, value: formatNumber(impact.familyDays, 1) })}</span>`;
+  impactEls.forEach((el) => { el.innerHTML = html; });
+}
+
+// Facts take turns (win facts after a win, others after a loss) so each
+// round teaches something new. The turn is kept outside the seeded random
+// so replays stay identical.
+function nextFact(didWin) {
+  const facts = tList(didWin ? 'facts.win' : 'facts.lose');
+  if (!facts.length) return '';
+  let index = 0;
+  try {
+    index = (Number(localStorage.getItem(FACT_INDEX_KEY)) || 0) % facts.length;
+    localStorage.setItem(FACT_INDEX_KEY, String(index + 1));
+  } catch (e) {
+    // storage blocked: the same fact may come up again next round
+  }
+  return facts[index];
+}
+
+// The card shown under the end-of-round stats
+function buildFactCardHtml(didWin) {
+  const impact = impactFor(runStats.caughtByCan + runStats.clicked);
+  const round = t('impact.round', { count: impact.drops, drops: formatNumber(impact.drops), liters: formatNumber(impact.liters) });
+  return `<div class="fact-card"><strong>${t('facts.title')}</strong><p>${nextFact(didWin)}</p><p class="fact-round">${round}</p></div>`;
+}
+
+onGameEvent('game_ended', renderImpact);
+renderImpact();
+
+// =================
+// Share Result Card
+// =================
+// After a round, "Share" builds a branded card from the result. The card is
+// plain SVG: the same markup is shown in the preview and saved as an .svg
+// file for downloading or sharing, so no canvas is needed. Everything happens
+// in the browser with local files, so it works offline.
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const shareBtn = document.getElementById('share-btn');
+const sharePanel = document.getElementById('share-panel');
+const sharePreview = document.getElementById('share-preview');
+const shareStatus = document.getElementById('share-status');
+const shareNowBtn = document.getElementById('share-now-btn');
+const downloadCardBtn = document.getElementById('download-card-btn');
+const shareCloseBtn = document.getElementById('share-close-btn');
+
+let lastResult = null;  // filled in by endGame() for real runs
+let logoDataUrl = null; // the logo as a data URL, so the card has no outside links
+
+// Remember what the card should show for the round that just ended
+function rememberResult(didWin) {
+  lastResult = {
+    score: score,
+    goal: winScore,
+    mode: modeLabel(currentMode),
+    streak: runStats.longestStreak,
+    won: didWin,
+    date: new Date().toISOString()
+  };
+  if (shareBtn) shareBtn.classList.remove('hidden');
+}
+
+// Read img/cw_logo.png once and keep it as a data URL, so the saved SVG file
+// needs no other files. If it can't be read the card skips the logo.
+function loadLogo() {
+  if (logoDataUrl !== null) return Promise.resolve(logoDataUrl);
+  return fetch('img/cw_logo.png')
+    .then((response) => response.blob())
+    .then((blob) => new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve('');
+      reader.readAsDataURL(blob);
+    }))
+    .catch(() => '')
+    .then((url) => {
+      logoDataUrl = url;
+      return url;
+    });
+}
+
+// Build the card's SVG markup from a result
+function buildCardSvg(result) {
+  const date = new Date(result.date).toLocaleDateString(language);
+  const logo = logoDataUrl ? `<image href="${logoDataUrl}" x="60" y="50" width="110" height="110"/>` : '';
+  const headline = t(result.won ? 'share.won' : 'share.played');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="Poppins, Arial, sans-serif">
+  <defs><linearGradient id="card-bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#2E9DF7"/><stop offset="1" stop-color="#0b5fa5"/></linearGradient></defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="32" fill="url(#card-bg)"/>
+  <rect y="${CARD_HEIGHT - 90}" width="${CARD_WIDTH}" height="90" fill="#FFC907"/>
+  ${logo}
+  <text x="200" y="120" font-size="56" font-weight="800" fill="#fff">Water Drop</text>
+  <text x="60" y="250" font-size="40" font-weight="600" fill="#fff">${escapeHtml(headline)}</text>
+  <text x="60" y="390" font-size="140" font-weight="800" fill="#fff">${result.score}<tspan font-size="72" fill="#cfe8ff">/${result.goal}</tspan></text>
+  <text x="60" y="460" font-size="34" fill="#fff">${escapeHtml(t('share.details', { mode: result.mode, streak: result.streak }))}</text>
+  <text x="${CARD_WIDTH - 60}" y="460" font-size="30" fill="#cfe8ff" text-anchor="end">${escapeHtml(date)}</text>
+  <text x="60" y="${CARD_HEIGHT - 34}" font-size="30" font-weight="700" fill="#0b2a3a">${escapeHtml(t('page.cta'))}</text>
+</svg>`;
+}
+
+// The card as an SVG file, ready to download or share
+function cardBlob(result) {
+  return new Blob([buildCardSvg(result)], { type: 'image/svg+xml' });
+}
+
+function shareText(result) {
+  return t('share.text', { score: result.score, goal: result.goal, mode: result.mode });
+}
+
+function cardFileName(result) {
+  return `water-drop-${result.score}-${result.date.slice(0, 10)}.svg`;
+}
+
+function openSharePanel() {
+  if (!lastResult || !sharePanel) return;
+  shareStatus.textContent = '';
+  loadLogo().then(() => {
+    sharePreview.innerHTML = buildCardSvg(lastResult);
+    sharePanel.classList.remove('hidden');
+    sharePanel.setAttribute('aria-hidden', 'false');
+    shareNowBtn.focus();
+  });
+}
+
+function closeSharePanel() {
+  sharePanel.classList.add('hidden');
+  sharePanel.setAttribute('aria-hidden', 'true');
+  if (shareBtn) shareBtn.focus();
+}
+
+function downloadCard() {
+  downloadBlob(cardBlob(lastResult), cardFileName(lastResult));
+}
+
+// Copy the result text when the Web Share API isn't there (or is cancelled out of)
+function copyResultText() {
+  const text = shareText(lastResult);
+  const done = () => { shareStatus.textContent = t('share.copied'); };
+  const fail = () => { shareStatus.textContent = text; };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).then(done, fail);
+  } else {
+    fail();
+  }
+}
+
+// Use the Web Share API when the browser has it: with the card if the browser
+// can share SVG files, otherwise just the text. Without it, copy the text instead.
+function shareResult() {
+  if (!navigator.share) {
+    copyResultText();
+    return;
+  }
+  const file = new File([cardBlob(lastResult)], cardFileName(lastResult), { type: 'image/svg+xml' });
+  const data = { title: 'Water Drop', text: shareText(lastResult) };
+  if (navigator.canShare && navigator.canShare({ files: [file] })) data.files = [file];
+  navigator.share(data).catch((e) => {
+    // Closing the share sheet isn't an error worth reporting
+    if (!e || e.name !== 'AbortError') copyResultText();
+  });
+}
+
+if (shareBtn && sharePanel) {
+  shareBtn.addEventListener('click', openSharePanel);
+  shareNowBtn.addEventListener('click', shareResult);
+  downloadCardBtn.addEventListener('click', downloadCard);
+  shareCloseBtn.addEventListener('click', closeSharePanel);
+  sharePanel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeSharePanel();
+  });
+  trapFocus(sharePanel);
+}
+
+// ================
+// Two-Player Mode
+// ================
+// Two cans share the field: player one uses A/D and player two uses the
+// arrow keys (both pairs can be changed in the Controls settings). Each can
+// catches its own drops and has its own score; the mode's goal still decides
+// whether anyone "won". To keep it fair:
+// - clicking drops and mouse/touch steering are off (keyboard only)
+// - power-ups that change one can (wide, shield, magnet) fall as plain drops
+// - the streak multiplier is off, and runs stay off the leaderboard
+const PLAYERS_KEY = 'wd_players';
+const playersSelect = document.getElementById('players-select');
+const scoreLabelEl = document.getElementById('score-label');
+const playerTwoScoreEl = document.querySelector('.player-two-score');
+
+let playersSetting = localStorage.getItem(PLAYERS_KEY) === '2' ? 2 : 1;
+
+// Move player two's can (kept inside the field) and record it for replays
+function moveCan2To(x) {
+  can2X = Math.max(0, Math.min(gameWidth - canWidth, x));
+  renderCan();
+  recordEvent('move2', can2X);
+}
+
+function resetPlayerTwo() {
+  score2 = 0;
+  if (score2El) score2El.textContent = score2;
+}
+
+// Show or hide the second can and score to match the round
+function applyPlayerLayout() {
+  if (waterCan2) waterCan2.classList.toggle('hidden', !twoPlayer);
+  if (playerTwoScoreEl) playerTwoScoreEl.classList.toggle('hidden', !twoPlayer);
+  if (scoreLabelEl) {
+    scoreLabelEl.dataset.i18n = twoPlayer ? 'hud.player1' : 'hud.score';
+    scoreLabelEl.textContent = t(scoreLabelEl.dataset.i18n);
+  }
+  renderStreak();
+}
+
+// Start positions: one can in the middle, or one in each half for two players
+function placeCans() {
+  if (twoPlayer) {
+    canX = gameWidth / 4 - canWidth / 2;
+    can2X = (gameWidth * 3) / 4 - canWidth / 2;
+  } else {
+    canX = (gameWidth - canWidth) / 2;
+  }
+  renderCan();
+}
+
+// The higher of the two scores (or just the score in one-player rounds)
+function topScore() {
+  return twoPlayer ? Math.max(score, score2) : score;
+}
+
+// Result line naming the winner (or a tie) with both scores against the goal
+// (survival has no goal, so only the scores are shown)
+function buildTwoPlayerResult() {
+  let winnerKey = 'end.tie';
+  if (score > score2) winnerKey = 'end.player1Wins';
+  if (score2 > score) winnerKey = 'end.player2Wins';
+  const scoresKey = currentMode.survival ? 'end.twoScoresSurvival' : 'end.twoScores';
+  const scores = t(scoresKey, { one: score, two: score2, goal: winScore, mode: escapeHtml(modeLabel(currentMode)) });
+  return `<div class="result-line">${t(winnerKey)}</div><div class="two-player-scores">${scores}</div>`;
+}
+
+if (playersSelect) {
+  playersSelect.value = String(playersSetting);
+  playersSelect.addEventListener('change', () => {
+    playersSetting = playersSelect.value === '2' ? 2 : 1;
+    localStorage.setItem(PLAYERS_KEY, String(playersSetting));
+    if (!gameRunning) {
+      twoPlayer = playersSetting === 2;
+      applyPlayerLayout();
+      placeCans();
+    }
+  });
+}
+
+twoPlayer = playersSetting === 2;
+applyPlayerLayout();
+placeCans();
+
+// ================
+// Daily Challenge
+// ================
+// Everyone who picks "Daily" on the same calendar day gets the same drops.
+// The day (e.g. "2024-05-01") is turned into the run's seed, and createDrop()
+// gives every spawn its own generator made from that seed and the spawn's
+// number. So drop #12 is always the same drop, whatever the player did
+// before it. (The Daily mode also has no milestone bump or time scaling,
+// which would otherwise make the bad-drop chance depend on the player.)
+// The first Daily round of a day is the scored attempt; later ones are
+// practice. Streaks and the best score are kept in localStorage.
+const DAILY_KEY = 'wd_daily';
+
+let dailyProgress = loadDailyProgress();
+let dailyPractice = false;       // is the current Daily round a practice round?
+let dailyCountdownTimer = null;  // updates the "next challenge" countdown
+
+// Local calendar day as YYYY-MM-DD
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Turn a day into a seed (FNV-1a hash of the text)
+function dailySeed(day) {
+  let hash = 2166136261;
+  for (let i = 0; i < day.length; i++) {
+    hash ^= day.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// The generator for one spawn of a Daily run
+function dailyDropRng(spawnNumber) {
+  return createRng((runSeed + Math.imul(spawnNumber + 1, 0x9E3779B1)) >>> 0);
+}
+
+function loadDailyProgress() {
+  const progress = { lastPlayed: '', streak: 0, best: 0, bestDay: '', todayScore: null };
+  try {
+    const saved = JSON.parse(localStorage.getItem(DAILY_KEY));
+    if (saved && typeof saved === 'object') Object.assign(progress, saved);
+  } catch (e) {
+    // broken save: start fresh
+  }
+  return progress;
+}
+
+function saveDailyProgress() {
+  try {
+    localStorage.setItem(DAILY_KEY, JSON.stringify(dailyProgress));
+  } catch (e) {
+    // storage full or blocked: today's result just isn't remembered
+  }
+}
+
+// Called from startGame() for Daily rounds: use today's seed and decide
+// whether this is the scored attempt. The attempt is used up as soon as it
+// starts, so quitting and restarting doesn't give a second try.
+function startDailyRound() {
+  const today = dayKey(new Date());
+  runSeed = dailySeed(today);
+  dailyPractice = twoPlayer || dailyProgress.lastPlayed === today;
+  if (dailyPractice) return;
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  dailyProgress.streak = dailyProgress.lastPlayed === dayKey(yesterday) ? dailyProgress.streak + 1 : 1;
+  dailyProgress.lastPlayed = today;
+  dailyProgress.todayScore = null;
+  saveDailyProgress();
+}
+
+// Called from endGame(): save the scored attempt and build the overlay section
+function finishDailyRound() {
+  if (!dailyPractice) {
+    dailyProgress.todayScore = score;
+    if (score > dailyProgress.best) {
+      dailyProgress.best = score;
+      dailyProgress.bestDay = dailyProgress.lastPlayed;
+    }
+    saveDailyProgress();
+  }
+  const status = dailyPractice ? t('daily.practice') : t('daily.scored', { score: score });
+  return `<div class="daily-card"><strong>${status}</strong>`
+    + `<p>${t('daily.streak', { count: dailyProgress.streak })} · ${t('daily.best', { score: dailyProgress.best })}</p>`
+    + `<p>${t('daily.next')} <span id="daily-countdown">${formatCountdown()}</span></p></div>`;
+}
+
+// Time left until local midnight, as h:mm:ss
+function formatCountdown() {
+  const now = new Date();
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const seconds = Math.max(0, Math.floor((midnight - now) / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const s = String(seconds % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function startDailyCountdown() {
+  stopDailyCountdown();
+  dailyCountdownTimer = setInterval(() => {
+    const el = document.getElementById('daily-countdown');
+    if (el) el.textContent = formatCountdown();
+    else stopDailyCountdown();
+  }, 1000);
+}
+
+function stopDailyCountdown() {
+  if (dailyCountdownTimer !== null) clearInterval(dailyCountdownTimer);
+  dailyCountdownTimer = null;
+}
+
+// ==============
+// Survival Mode
+// ==============
+// No countdown: the clock counts up and the round lasts until the lives run
+// out. Missing a good drop or catching a bad one costs a life (a shield
+// still blocks the bad one). Every SURVIVAL_TIER_SECONDS the tier goes up
+// and drops spawn faster. The bad-drop chance uses the same timeScaleMax and
+// milestoneBump curves as the other modes, but the time part keeps growing
+// past SURVIVAL_RAMP_SECONDS instead of stopping at the end of a timer.
+const SURVIVAL_BEST_KEY = 'wd_survival_best';
+const SURVIVAL_TIER_SECONDS = 20;
+const SURVIVAL_RAMP_SECONDS = 45;  // time for the bad-drop curve to add timeScaleMax once
+const SURVIVAL_SPAWN_FACTOR = 0.88; // spawn interval multiplier per tier
+const SURVIVAL_MIN_SPAWN = 200;     // ms, the fastest drops can spawn
+
+function startSurvivalRound() {
+  lives = currentMode.lives || 3;
+  survivalSeconds = 0;
+  survivalTier = 1;
+  timeEl.textContent = survivalSeconds;
+}
+
+// How far along the bad-drop time curve we are (not capped at 1)
+function survivalTimeProgress() {
+  return survivalSeconds / SURVIVAL_RAMP_SECONDS;
+}
+
+// One second of a survival round: count up and raise the tier on schedule
+function survivalTick() {
+  survivalSeconds++;
+  timeEl.textContent = survivalSeconds;
+  announceTick();
+  if (survivalSeconds % SURVIVAL_TIER_SECONDS === 0) {
+    survivalTier++;
+    spawnInterval = Math.max(SURVIVAL_MIN_SPAWN, Math.round(spawnInterval * SURVIVAL_SPAWN_FACTOR));
+    showMilestone(t('survival.tierUp', { tier: survivalTier }));
+    playCue('milestone');
+  }
+}
+
+// A miss or a bad catch in survival (stepGame() ends the round at zero)
+function loseLife() {
+  if (!currentMode.survival || lives <= 0) return;
+  lives--;
+  renderLives();
+  if (lives === 1) announce(t('survival.lastLife'), true);
+}
+
+// Hearts next to the score, only in survival rounds
+function renderLives() {
+  if (!livesEl) return;
+  livesEl.classList.toggle('hidden', !currentMode.survival);
+  livesEl.textContent = '❤'.repeat(Math.max(0, lives));
+  livesEl.setAttribute('aria-label', t('survival.lives', { count: lives }));
+}
+
+// Seconds as m:ss
+function formatSurvivalTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function loadSurvivalBest() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SURVIVAL_BEST_KEY));
+    if (saved && Number.isFinite(saved.seconds)) return saved;
+  } catch (e) {
+    // broken save: no record yet
+  }
+  return { seconds: 0, tier: 0, score: 0, date: '' };
+}
+
+// Called from endGame(): save a new record (real runs only) and build the result lines.
+// Two players share the time and tier but set no record (like the leaderboard);
+// their winner line comes from buildTwoPlayerResult().
+function finishSurvivalRound(canRecord) {
+  if (twoPlayer) {
+    const together = t('survival.resultTwo', { time: formatSurvivalTime(survivalSeconds), tier: survivalTier });
+    return { newBest: false, html: `<div class="survival-best">${together}</div>` };
+  }
+  const best = loadSurvivalBest();
+  const newBest = canRecord && survivalSeconds > best.seconds;
+  if (newBest) {
+    localStorage.setItem(SURVIVAL_BEST_KEY, JSON.stringify({
+      seconds: survivalSeconds, tier: survivalTier, score: score, date: new Date().toISOString()
+    }));
+  }
+  const result = t('survival.result', { time: formatSurvivalTime(survivalSeconds), tier: survivalTier, score: score });
+  const record = newBest
+    ? t('survival.newBest')
+    : t('survival.best', { time: formatSurvivalTime(best.seconds), tier: best.tier });
+  return { newBest: newBest, html: `<div class="result-line">${result}</div><div class="survival-best">${record}</div>` };
+}
+
+// ===============
+// Stats History
+// ===============
+// A built-in game_ended listener keeps a short history of past runs in
+// localStorage, and the Stats panel draws it with plain DOM and SVG:
+// - score over time for one mode (SVG line, wins shown as green dots)
+// - win rate and bad-drop hit rate for every mode (bars)
+// Each run is stored compactly as { mode, score, won, bad, good, date }.
+const HISTORY_KEY = 'wd_history';
+const HISTORY_SIZE = 200;   // oldest runs are dropped after this many
+const CHART_RUNS = 30;      // runs shown in the score chart
+
+const statsBtn = document.getElementById('stats-btn');
+const statsPanel = document.getElementById('stats-panel');
+const statsModeSelect = document.getElementById('stats-mode');
+const statsContent = document.getElementById('stats-content');
+const statsClearBtn = document.getElementById('stats-clear-btn');
+const statsCloseBtn = document.getElementById('stats-close-btn');
+
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-HISTORY_SIZE)));
+  } catch (e) {
+    // storage full or blocked: this round just isn't added to the stats
+  }
+}
+
+// Replays and two-player rounds aren't one player's run, so they're skipped
+onGameEvent('game_ended', (e) => {
+  if (e.replay || e.twoPlayer) return;
+  const history = loadHistory();
+  history.push({
+    mode: e.modeId,
+    score: e.score,
+    won: e.won ? 1 : 0,
+    bad: e.stats.badHits,
+    good: e.stats.caughtByCan + e.stats.clicked,
+    date: Date.now()
+  });
+  saveHistory(history);
+});
+
+// Per-mode totals for the bar charts
+function summarizeHistory(history) {
+  const byMode = {};
+  history.forEach((run) => {
+    const sum = byMode[run.mode] || (byMode[run.mode] = { runs: 0, wins: 0, bad: 0, good: 0 });
+    sum.runs++;
+    sum.wins += run.won;
+    sum.bad += run.bad;
+    sum.good += run.good;
+  });
+  return byMode;
+}
+
+// SVG line of the last CHART_RUNS scores for one mode
+function buildScoreChart(runs) {
+  const width = 460;
+  const height = 180;
+  const pad = 28;
+  const shown = runs.slice(-CHART_RUNS);
+  const maxScore = Math.max(1, ...shown.map((run) => run.score));
+  const stepX = shown.length > 1 ? (width - pad * 2) / (shown.length - 1) : 0;
+  const points = shown.map((run, i) => ({
+    x: pad + i * stepX,
+    y: height - pad - (run.score / maxScore) * (height - pad * 2),
+    run: run
+  }));
+  const line = points.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+  const dots = points.map((p) => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="4" class="${p.run.won ? 'dot-win' : 'dot-loss'}"><title>${p.run.score} · ${new Date(p.run.date).toLocaleDateString(language)}</title></circle>`).join('');
+  return `<svg class="score-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('stats.chartLabel', { count: shown.length })}">
+    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="axis"/>
+    <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="axis"/>
+    <text x="${pad - 6}" y="${pad + 4}" text-anchor="end">${maxScore}</text>
+    <text x="${pad - 6}" y="${height - pad + 4}" text-anchor="end">0</text>
+    <polyline points="${line}" class="score-line"/>
+    ${dots}
+  </svg>`;
+}
+
+// One labelled bar per mode, e.g. for win rate (labels are plain text, so they're escaped)
+function buildBars(title, rows) {
+  const bars = rows.map((row) => `<div class="stat-row"><span class="stat-label">${escapeHtml(row.label)}</span><div class="stat-bar"><div class="stat-fill ${row.className}" style="width:${row.percent}%"></div></div><span class="stat-value">${row.percent}%</span></div>`).join('');
+  return `<h3>${title}</h3>${bars}`;
+}
+
+function renderStatsPanel() {
+  if (!statsContent) return;
+  const history = loadHistory();
+  if (!history.length) {
+    statsModeSelect.innerHTML = '';
+    statsContent.innerHTML = `<p class="leaderboard-empty">${t('stats.noHistory')}</p>`;
+    return;
+  }
+  const summary = summarizeHistory(history);
+  const modeIds = Object.keys(summary);
+  // Keep the chosen mode if it still has runs, otherwise show the current one
+  const chosen = modeIds.includes(statsModeSelect.value) ? statsModeSelect.value : (modeIds.includes(difficulty) ? difficulty : modeIds[0]);
+  statsModeSelect.innerHTML = '';
+  modeIds.forEach((id) => statsModeSelect.appendChild(new Option(modeLabel(getMode(id)), id)));
+  statsModeSelect.value = chosen;
+
+  const runs = history.filter((run) => run.mode === chosen);
+  const winRows = modeIds.map((id) => ({
+    label: modeLabel(getMode(id)),
+    percent: Math.round((summary[id].wins / summary[id].runs) * 100),
+    className: 'win-fill'
+  }));
+  const badRows = modeIds.map((id) => {
+    const touched = summary[id].bad + summary[id].good;
+    return {
+      label: modeLabel(getMode(id)),
+      percent: touched ? Math.round((summary[id].bad / touched) * 100) : 0,
+      className: 'bad-fill'
+    };
+  });
+  statsContent.innerHTML = `<h3>${t('stats.scoreOverTime', { mode: escapeHtml(modeLabel(getMode(chosen))) })}</h3>`
+    + buildScoreChart(runs)
+    + buildBars(t('stats.winRate'), winRows)
+    + buildBars(t('stats.badRate'), badRows)
+    + `<p class="settings-hint">${t('stats.runsStored', { count: history.length })}</p>`;
+}
+
+function openStatsPanel() {
+  if (gameRunning && !gamePaused) return; // the history only changes between rounds
+  renderStatsPanel();
+  statsPanel.classList.remove('hidden');
+  statsPanel.setAttribute('aria-hidden', 'false');
+  statsCloseBtn.focus();
+}
+
+function closeStatsPanel() {
+  statsPanel.classList.add('hidden');
+  statsPanel.setAttribute('aria-hidden', 'true');
+  if (statsBtn) statsBtn.focus();
+}
+
+if (statsBtn && statsPanel) {
+  statsBtn.addEventListener('click', openStatsPanel);
+  statsCloseBtn.addEventListener('click', closeStatsPanel);
+  statsModeSelect.addEventListener('change', renderStatsPanel);
+  statsClearBtn.addEventListener('click', () => {
+    if (!window.confirm(t('stats.confirmClear'))) return;
+    localStorage.removeItem(HISTORY_KEY);
+    renderStatsPanel();
+  });
+  statsPanel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeStatsPanel();
+  });
+  trapFocus(statsPanel);
+}
+
+// ==================
+// Offline & Install
+// ==================
+// sw.js keeps a copy of the game so it runs with no network. When a newer
+// version has been downloaded, a banner offers to reload into it (the new
+// version waits until then, so nothing changes in the middle of a round).
+const updateBanner = document.getElementById('update-banner');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+const installBtn = document.getElementById('install-btn');
+let waitingWorker = null;  // downloaded version waiting to take over
+let installPrompt = null;  // saved "add to home screen" prompt
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  if (updateBanner) updateBanner.classList.remove('hidden');
+}
+
+// Watch a registration for a new version finishing its download
+function listenForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // "installed" with a controller means this is an update, not the first install
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+    });
+  });
+}
+
+// Service workers need http(s); opening index.html as a file just skips this
+if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js')
+      .then(listenForUpdates)
+      .catch(() => {
+        // no offline support (e.g. a private window): the game still works online
+      });
+  });
+  // Reload once the new version has taken over
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !waitingWorker) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
+
+if (updateReloadBtn) {
+  updateReloadBtn.addEventListener('click', () => {
+    if (waitingWorker) waitingWorker.postMessage('skip-waiting');
+  });
+}
+
+// Browsers that support installing send this event; keep it for the Install button
+window.addEventListener('beforeinstallprompt', (e) => {
+  e.preventDefault();
+  installPrompt = e;
+  if (installBtn) installBtn.classList.remove('hidden');
+});
+
+if (installBtn) {
+  installBtn.addEventListener('click', () => {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    installPrompt = null;
+    installBtn.classList.add('hidden');
+  });
+}
+
+window.addEventListener('appinstalled', () => {
+  if (installBtn) installBtn.classList.add('hidden');
+});
+
+// ===============
+// Weather Events
+// ===============
+// Every weatherEvery seconds of calm (set per mode) a weather event starts
+// and lasts a few seconds:
+// - wind: pushes falling drops sideways (see moveDrops)
+// - storm: drops spawn much faster than spawnInterval
+// - drought: drops spawn slower but every drop is worth double
+// - acidRain: a higher bad-drop chance
+// Storm drops still go through createDrop(), so maxActiveDrops caps them like
+// any other drop. Wind moves a drop before the can check and keeps it inside
+// the field, so catching and missing work the same as without wind.
+// Events are picked with the run's seeded random() (daily rounds use their
+// own seed), so replays and the daily challenge get the same weather.
+const weatherDefs = {
+  wind: { labelKey: 'weather.wind', startKey: 'weather.windStart', duration: 6000 },
+  storm: { labelKey: 'weather.storm', startKey: 'weather.stormStart', duration: 4000, spawnFactor: 0.25 },
+  drought: { labelKey: 'weather.drought', startKey: 'weather.droughtStart', duration: 7000, spawnFactor: 2.5, pointsFactor: 2 },
+  acidRain: { labelKey: 'weather.acidRain', startKey: 'weather.acidRainStart', duration: 6000, badBonus: 0.25 }
+};
+const WIND_SPEED = 0.15;        // logical units per ms a gust pushes drops
+const WEATHER_QUIET_SECONDS = 5; // no new weather this close to the end of a timed round
+let weather = null;              // { name, msLeft, wind } while an event runs
+let nextWeatherAt = Infinity;    // simTime of the next event
+let weatherCount = 0;            // events started this run
+
+// Called from startGame(): the first event comes after one calm spell
+function startWeatherSchedule() {
+  weather = null;
+  weatherCount = 0;
+  nextWeatherAt = weatherCalmMs();
+}
+
+// Calm time between events for the current mode (Infinity turns weather off)
+function weatherCalmMs() {
+  // Replays saved before weather existed have no weatherEvery: no weather
+  const seconds = currentMode.weatherEvery || 0;
+  return seconds > 0 ? seconds * 1000 : Infinity;
+}
+
+// Once per game-loop step: count the current event down or start the next one
+function updateWeather() {
+  if (weather) {
+    const before = Math.ceil(weather.msLeft / 1000);
+    weather.msLeft -= STEP_MS;
+    if (weather.msLeft <= 0) endWeather();
+    else if (Math.ceil(weather.msLeft / 1000) !== before) renderEffects();
+  } else if (simTime >= nextWeatherAt) {
+    // Daily goes by the round's own clock, not timeLeft: clock drops add
+    // time for one player, and the weather has to be the same for everyone
+    const secondsLeft = currentMode.daily ? timeLimit - simTime / 1000 : timeLeft;
+    if (!currentMode.survival && secondsLeft <= WEATHER_QUIET_SECONDS) {
+      nextWeatherAt += 1000; // check again in a second (a clock drop may add time)
+      return;
+    }
+    startWeather();
+  }
+}
+
+function startWeather() {
+  // Daily rounds draw the weather from the day's seed, like their drops
+  const draw = currentMode.daily ? dailyDropRng(-1 - weatherCount) : random;
+  weatherCount++;
+  const names = Object.keys(weatherDefs);
+  const name = names[Math.floor(draw() * names.length)];
+  const def = weatherDefs[name];
+  weather = { name: name, msLeft: def.duration, wind: 0 };
+  // Gusts blow left or right
+  if (name === 'wind') weather.wind = draw() < 0.5 ? -WIND_SPEED : WIND_SPEED;
+  // A storm's burst starts right away instead of after the current gap
+  if (def.spawnFactor && def.spawnFactor < 1) {
+    nextSpawnAt = Math.min(nextSpawnAt, simTime + spawnInterval * def.spawnFactor);
+  }
+  gameContainer.classList.add(`weather-${name}`);
+  const message = t(def.startKey);
+  showMilestone(message);
+  announce(message);
+  playCue('milestone');
+  renderEffects();
+  emitGameEvent('weather_started', { name: name, seconds: def.duration / 1000 });
+}
+
+function endWeather() {
+  if (!weather) return;
+  const name = weather.name;
+  gameContainer.classList.remove(`weather-${name}`);
+  weather = null;
+  nextWeatherAt = simTime + weatherCalmMs();
+  renderEffects();
+  emitGameEvent('weather_ended', { name: name });
+}
+
+// Stop any weather and the schedule (called when a round ends or restarts)
+function clearWeather() {
+  if (weather) gameContainer.classList.remove(`weather-${weather.name}`);
+  weather = null;
+  nextWeatherAt = Infinity;
+  renderEffects();
+}
+
+// Multiplier on the gap between spawns (below 1 means faster)
+function weatherSpawnFactor() {
+  return (weather && weatherDefs[weather.name].spawnFactor) || 1;
+}
+
+// Multiplier on a new drop's points
+function weatherPointsFactor() {
+  return (weather && weatherDefs[weather.name].pointsFactor) || 1;
+}
+
+// Extra bad-drop chance added in createDrop()
+function weatherBadBonus() {
+  return (weather && weatherDefs[weather.name].badBonus) || 0;
+}
+
+// Push a drop sideways with the wind, keeping it fully inside the field
+function blowDrop(drop) {
+  const maxX = Math.max(0, gameWidth - drop.size);
+  drop.x = Math.max(0, Math.min(maxX, drop.x + weather.wind * STEP_MS));
+}
+
+// ===============
+// Classroom Mode
+// ===============
+// For workshops where many students take turns on one machine. A PIN keeps
+// students from wandering into the Facilitator panel by accident. It is a
+// casual lock, not real security: anyone who can open the browser's dev tools
+// can read or clear the saved settings. From the panel a facilitator can:
+// - lock the mode (the difficulty select and Custom… button are disabled)
+// - override the time and goal of timed modes (0 keeps the mode's own)
+// - replace the win and lose messages for their class
+// - keep a roster: each round is saved for the current player, then the
+//   next name on the list is up
+// - export the saved results as CSV, and clear them between classes
+// Everything is kept in localStorage under CLASSROOM_KEY (declared with the
+// game modes, because applyMode() needs it from the first page load).
+const CLASSROOM_RESULTS_MAX = 1000;
+const classroomBtn = document.getElementById('classroom-btn');
+const classroomPanel = document.getElementById('classroom-panel');
+const classroomPinForm = document.getElementById('classroom-pin-form');
+const classroomPinInput = document.getElementById('classroom-pin');
+const classroomPinHint = document.getElementById('classroom-pin-hint');
+const classroomPinConfirmLabel = document.getElementById('classroom-pin-confirm-label');
+const classroomPinConfirm = document.getElementById('classroom-pin-confirm');
+const classroomUnlockBtn = document.getElementById('classroom-unlock-btn');
+const classroomPinStatus = document.getElementById('classroom-pin-status');
+const classroomForm = document.getElementById('classroom-form');
+const classroomStatus = document.getElementById('classroom-status');
+const classroomResultsCount = document.getElementById('classroom-results-count');
+const classroomExportBtn = document.getElementById('classroom-export-btn');
+const classroomClearBtn = document.getElementById('classroom-clear-btn');
+const classroomPlayerEl = document.getElementById('classroom-player');
+
+function loadClassroom() {
+  const settings = {
+    enabled: false, pinHash: '', lockMode: false, modeId: 'Normal', timeLimit: 0, winScore: 0,
+    roster: [], current: 0, winMessages: [], loseMessages: [], results: []
+  };
+  try {
+    const saved = JSON.parse(localStorage.getItem(CLASSROOM_KEY));
+    if (saved && typeof saved === 'object') {
+      // Check every field like sanitizeCustomMode does, so an edited or
+      // broken save can't put the wrong kind of value into the panel
+      settings.enabled = saved.enabled === true;
+      settings.pinHash = typeof saved.pinHash === 'string' ? saved.pinHash : '';
+      settings.lockMode = saved.lockMode === true;
+      if (typeof saved.modeId === 'string') settings.modeId = saved.modeId;
+      settings.timeLimit = Math.round(clampNumber(saved.timeLimit, { min: 0, max: 300 }, 0));
+      settings.winScore = Math.round(clampNumber(saved.winScore, { min: 0, max: 500 }, 0));
+      settings.roster = savedLines(saved.roster, 30, 60);
+      settings.current = Math.round(clampNumber(saved.current, { min: 0, max: Math.max(0, settings.roster.length - 1) }, 0));
+      settings.winMessages = savedLines(saved.winMessages, 140, 20);
+      settings.loseMessages = savedLines(saved.loseMessages, 140, 20);
+      settings.results = Array.isArray(saved.results) ? saved.results.filter((r) => r && typeof r === 'object') : [];
+    }
+  } catch (e) {
+    // broken save: start with the defaults
+  }
+  return settings;
+}
+
+// A saved list of names or messages, cleaned the same way as the form's text boxes
+function savedLines(list, maxLength, maxCount) {
+  if (!Array.isArray(list)) return [];
+  return textLines(list.filter((line) => typeof line === 'string').join('\n'), maxLength, maxCount);
+}
+
+function saveClassroom() {
+  classroom.results = classroom.results.slice(-CLASSROOM_RESULTS_MAX);
+  try {
+    localStorage.setItem(CLASSROOM_KEY, JSON.stringify(classroom));
+  } catch (e) {
+    // storage full or blocked: the settings still work until the page closes
+  }
+}
+
+// The PIN is stored as a hash (the same FNV-1a hash the daily seed uses),
+// so it isn't readable at a glance in the browser's storage. A 32-bit hash of
+// a few digits can be guessed in seconds, which is fine for a casual lock.
+function hashPin(pin) {
+  return dailySeed(`wd-pin:${pin}`).toString(16);
+}
+
+// The mode every round must use, or null when the mode isn't locked
+function lockedModeId() {
+  return classroom.enabled && classroom.lockMode ? classroom.modeId : null;
+}
+
+// A copy of a mode with the facilitator's time and goal. Survival has no
+// timer or goal, and the daily challenge has to be the same for everyone.
+function withClassroomOverrides(mode) {
+  if (!classroom.enabled || mode.survival || mode.daily) return mode;
+  if (!classroom.timeLimit && !classroom.winScore) return mode;
+  return Object.assign({}, mode, {
+    timeLimit: classroom.timeLimit || mode.timeLimit,
+    winScore: classroom.winScore || mode.winScore
+  });
+}
+
+// The facilitator's end-of-round messages, or null to use the built-in ones
+function classroomMessages(didWin) {
+  if (!classroom.enabled) return null;
+  const list = didWin ? classroom.winMessages : classroom.loseMessages;
+  return list.length ? list : null;
+}
+
+// Name of the student whose turn it is ('' with no roster)
+function currentPlayer() {
+  return classroom.roster[classroom.current] || '';
+}
+
+// "Now playing: …" next to the score
+function renderClassroomPlayer() {
+  if (!classroomPlayerEl) return;
+  const show = classroom.enabled && classroom.roster.length > 0;
+  classroomPlayerEl.classList.toggle('hidden', !show);
+  classroomPlayerEl.textContent = show ? t('classroom.nowPlaying', { name: currentPlayer() }) : '';
+}
+
+// Disable the mode controls while a facilitator has locked the mode
+function renderClassroomLock() {
+  const locked = lockedModeId() !== null;
+  if (difficultySelect) difficultySelect.disabled = locked;
+  if (editModeBtn) editModeBtn.disabled = locked;
+}
+
+// Save every finished round for the current player, then move to the next
+// name. Replays and two-player rounds aren't one student's turn, so they're skipped.
+onGameEvent('game_ended', (e) => {
+  if (!classroom.enabled || e.replay || e.twoPlayer) return;
+  const player = currentPlayer();
+  classroom.results.push({
+    player: player,
+    mode: modeLabel(currentMode),
+    score: e.score,
+    goal: e.survival ? 0 : winScore,
+    won: e.won,
+    seconds: e.seconds,
+    bad: e.stats.badHits,
+    date: new Date().toISOString()
+  });
+  if (classroom.roster.length) classroom.current = (classroom.current + 1) % classroom.roster.length;
+  saveClassroom();
+  renderClassroomPlayer();
+  if (player) {
+    // insertAdjacentHTML adds the line without re-reading the rest of the message
+    endMessageEl.insertAdjacentHTML('beforeend', `<div class="classroom-next">${t('classroom.nextUp', { saved: escapeHtml(player), next: escapeHtml(currentPlayer()) })}</div>`);
+  }
+});
+
+// One CSV cell: quoted when needed, and a leading = + - @ is escaped so a
+// spreadsheet shows a name like "=SUM" as text instead of running it
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildClassroomCsv() {
+  const header = ['player', 'mode', 'score', 'goal', 'won', 'seconds', 'bad_drops', 'date'];
+  const rows = classroom.results.map((r) => [r.player, r.mode, r.score, r.goal, r.won ? 'yes' : 'no', r.seconds, r.bad, r.date]);
+  // The byte-order mark helps spreadsheet apps read accented names correctly
+  return '\uFEFF' + [header].concat(rows).map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportClassroomResults() {
+  if (!classroom.results.length) {
+    classroomStatus.textContent = t('classroom.noResults');
+    return;
+  }
+  downloadBlob(new Blob([buildClassroomCsv()], { type: 'text/csv' }), `water-drop-class-${dayKey(new Date())}.csv`);
+}
+
+// Split a textarea into clean lines (empty lines dropped)
+function textLines(text, maxLength, maxCount) {
+  return String(text).split('\n').map((line) => line.trim().slice(0, maxLength)).filter(Boolean).slice(0, maxCount);
+}
+
+function renderClassroomResultsCount() {
+  classroomResultsCount.textContent = t('classroom.results', { count: classroom.results.length });
+}
+
+function fillClassroomForm() {
+  const f = classroomForm.elements;
+  f.enabled.checked = classroom.enabled;
+  f.lockMode.checked = classroom.lockMode;
+  f.modeId.innerHTML = '';
+  Object.keys(builtInModes).concat(Object.keys(customModes)).forEach((id) => {
+    f.modeId.appendChild(new Option(modeLabel(getMode(id)), id));
+  });
+  f.modeId.value = resolveModeId(classroom.modeId);
+  f.timeLimit.value = classroom.timeLimit;
+  f.winScore.value = classroom.winScore;
+  f.roster.value = classroom.roster.join('\n');
+  f.winMessages.value = classroom.winMessages.join('\n');
+  f.loseMessages.value = classroom.loseMessages.join('\n');
+  f.newPin.value = '';
+  renderClassroomResultsCount();
+  classroomStatus.textContent = '';
+}
+
+function saveClassroomForm() {
+  const f = classroomForm.elements;
+  if (f.newPin.value && !/^[0-9]{4,8}$/.test(f.newPin.value)) {
+    classroomStatus.textContent = t('classroom.pinFormat');
+    return;
+  }
+  const roster = textLines(f.roster.value, 30, 60);
+  // Keep the same student up if they're still on the list
+  const current = roster.indexOf(currentPlayer());
+  Object.assign(classroom, {
+    enabled: f.enabled.checked,
+    lockMode: f.lockMode.checked,
+    modeId: f.modeId.value,
+    timeLimit: Math.round(clampNumber(f.timeLimit.value, { min: 0, max: 300 }, 0)),
+    winScore: Math.round(clampNumber(f.winScore.value, { min: 0, max: 500 }, 0)),
+    roster: roster,
+    current: current === -1 ? 0 : current,
+    winMessages: textLines(f.winMessages.value, 140, 20),
+    loseMessages: textLines(f.loseMessages.value, 140, 20)
+  });
+  if (f.newPin.value) classroom.pinHash = hashPin(f.newPin.value);
+  saveClassroom();
+  // Re-apply the mode so a new lock or override shows straight away
+  selectMode(difficultySelect ? difficultySelect.value : difficulty);
+  renderClassroomLock();
+  renderClassroomPlayer();
+  f.newPin.value = '';
+  classroomStatus.textContent = t('classroom.saved');
+}
+
+// Show the PIN step (or the settings once unlocked)
+function showClassroomStep(unlocked) {
+  classroomPinForm.classList.toggle('hidden', unlocked);
+  classroomForm.classList.toggle('hidden', !unlocked);
+  if (unlocked) {
+    fillClassroomForm();
+    classroomForm.elements.enabled.focus();
+  } else {
+    // With no PIN saved yet this is the "set a PIN" step: the PIN is typed
+    // twice and the button says so, so nobody sets one by accident
+    const settingPin = !classroom.pinHash;
+    classroomPinHint.textContent = t(settingPin ? 'classroom.pinChoose' : 'classroom.pinEnter');
+    classroomUnlockBtn.textContent = t(settingPin ? 'classroom.setPin' : 'classroom.unlock');
+    classroomPinConfirmLabel.classList.toggle('hidden', !settingPin);
+    classroomPinConfirm.required = settingPin;
+    classroomPinStatus.textContent = '';
+    classroomPinInput.value = '';
+    classroomPinConfirm.value = '';
+    classroomPinInput.focus();
+  }
+}
+
+function openClassroomPanel() {
+  if (gameRunning) return; // settings change the mode, so only between rounds
+  classroomPanel.classList.remove('hidden');
+  classroomPanel.setAttribute('aria-hidden', 'false');
+  showClassroomStep(false);
+}
+
+// Closing always locks the panel again
+function closeClassroomPanel() {
+  classroomPanel.classList.add('hidden');
+  classroomPanel.setAttribute('aria-hidden', 'true');
+  classroomForm.classList.add('hidden');
+  if (classroomBtn) classroomBtn.focus();
+}
+
+if (classroomBtn && classroomPanel) {
+  classroomBtn.addEventListener('click', openClassroomPanel);
+  classroomPanel.querySelectorAll('.classroom-close-btn').forEach((btn) => btn.addEventListener('click', closeClassroomPanel));
+  classroomPinForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const pin = classroomPinInput.value;
+    if (!/^[0-9]{4,8}$/.test(pin)) {
+      classroomPinStatus.textContent = t('classroom.pinFormat');
+      return;
+    }
+    if (!classroom.pinHash) {
+      // Set-a-PIN step: both boxes have to match before the PIN is saved
+      if (classroomPinConfirm.value !== pin) {
+        classroomPinStatus.textContent = t('classroom.pinMismatch');
+        classroomPinConfirm.value = '';
+        classroomPinConfirm.focus();
+        return;
+      }
+      classroom.pinHash = hashPin(pin);
+      saveClassroom();
+    } else if (hashPin(pin) !== classroom.pinHash) {
+      classroomPinStatus.textContent = t('classroom.wrongPin');
+      classroomPinInput.value = '';
+      return;
+    }
+    showClassroomStep(true);
+  });
+  classroomForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveClassroomForm();
+  });
+  classroomExportBtn.addEventListener('click', exportClassroomResults);
+  classroomClearBtn.addEventListener('click', () => {
+    if (!window.confirm(t('classroom.confirmClear'))) return;
+    classroom.results = [];
+    classroom.current = 0;
+    saveClassroom();
+    renderClassroomResultsCount();
+    renderClassroomPlayer();
+  });
+  classroomPanel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeClassroomPanel();
+  });
+  trapFocus(classroomPanel);
+}
+
+renderClassroomLock();
+
+// =========
+// Controls
+// =========
+// Key bindings, move speed, mouse-follow and gamepads. Saved in localStorage
+// as { keys: { left, right, pause, start, p1Left, p1Right }, speed, mouseFollow }.
+// Holding a direction moves the can smoothly: it starts slowly and speeds up
+// the longer the key (or stick) is held, instead of jumping in fixed steps.
+// In two-player mode player one uses p1Left/p1Right (A/D unless rebound) and
+// player two uses the left/right keys. All of them are rebindable, and
+// rebinding never lets two actions share a key (see bindKey()).
+// Every move goes through moveCanTo()/moveCan2To(), so replays record it as usual.
+const CONTROLS_KEY = 'wd_controls';
+const defaultControls = { keys: { left: 'ArrowLeft', right: 'ArrowRight', pause: 'p', start: 'Enter', p1Left: 'a', p1Right: 'd' }, speed: 1, mouseFollow: true };
+const CAN_START_SPEED = 0.25;     // logical units per ms when a direction is first held
+const CAN_MAX_SPEED = 0.9;        // top speed after holding for a moment
+const CAN_ACCELERATION = 0.0025;  // speed gained per ms of holding
+const STICK_DEADZONE = 0.25;      // ignore small stick drift
+const moveSpeedInput = document.getElementById('move-speed');
+const moveSpeedValue = document.getElementById('move-speed-value');
+const mouseFollowToggle = document.getElementById('mouse-follow-toggle');
+const controlsResetBtn = document.getElementById('controls-reset-btn');
+const gamepadStatus = document.getElementById('gamepad-status');
+const keyButtons = document.querySelectorAll('.key-btn');
+let controls = loadControls();
+let rebindingAction = null;  // the action waiting for a new key, if any
+// One entry per can: held directions, the last tap, the stick and the current speed
+const canInputs = [
+  { left: false, right: false, tapped: null, stick: 0, dir: 0, speed: 0 },
+  { left: false, right: false, tapped: null, stick: 0, dir: 0, speed: 0 }
+];
+
+function loadControls() {
+  const settings = { keys: Object.assign({}, defaultControls.keys), speed: defaultControls.speed, mouseFollow: defaultControls.mouseFollow };
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONTROLS_KEY));
+    if (saved && typeof saved === 'object') {
+      Object.assign(settings.keys, saved.keys);
+      // Two actions on one key (e.g. left saved as A before player one's keys
+      // could be changed) can't work, so such a save gets the default keys
+      const names = Object.values(settings.keys).map(keyName);
+      if (new Set(names).size !== names.length) settings.keys = Object.assign({}, defaultControls.keys);
+      if (Number.isFinite(saved.speed)) settings.speed = Math.max(0.5, Math.min(2, saved.speed));
+      if (typeof saved.mouseFollow === 'boolean') settings.mouseFollow = saved.mouseFollow;
+    }
+  } catch (e) {
+    // broken save: use the defaults
+  }
+  return settings;
+}
+
+function saveControls() {
+  try {
+    localStorage.setItem(CONTROLS_KEY, JSON.stringify(controls));
+  } catch (e) {
+    // storage full or blocked: the new keys work until the page closes
+  }
+}
+
+// Letters compare without case, so P and p are the same key
+function keyName(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function isBoundKey(e, action) {
+  return keyName(e.key) === keyName(controls.keys[action]);
+}
+
+// How a key is shown to the player
+function keyLabel(key) {
+  const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+  if (key === ' ') return t('keys.space');
+  if (key === 'Enter') return t('keys.enter');
+  if (arrows[key]) return arrows[key];
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Which can and direction a key moves, e.g. { player: 0, dir: 'left' }, or null
+function movementFor(e) {
+  const key = keyName(e.key);
+  if (twoPlayer && key === keyName(controls.keys.p1Left)) return { player: 0, dir: 'left' };
+  if (twoPlayer && key === keyName(controls.keys.p1Right)) return { player: 0, dir: 'right' };
+  const player = twoPlayer ? 1 : 0;
+  if (key === keyName(controls.keys.left)) return { player: player, dir: 'left' };
+  if (key === keyName(controls.keys.right)) return { player: player, dir: 'right' };
+  return null;
+}
+
+window.addEventListener('keydown', (e) => {
+  if (rebindingAction || !gameRunning || gamePaused || replayData) return;
+  const move = movementFor(e);
+  if (!move) return;
+  e.preventDefault(); // arrow keys would scroll the page
+  const input = canInputs[move.player];
+  input[move.dir] = true;
+  // remember the press so even a very quick tap moves the can a little
+  input.tapped = move.dir;
+});
+
+// The start key also works with nothing focused (the can handles it when focused)
+window.addEventListener('keydown', (e) => {
+  if (rebindingAction || gameRunning || e.target !== document.body || !isBoundKey(e, 'start')) return;
+  if (!overlay.classList.contains('hidden') || document.querySelector('.panel-overlay:not(.hidden)')) return;
+  e.preventDefault();
+  startGame();
+});
+
+window.addEventListener('keyup', (e) => {
+  const move = movementFor(e);
+  if (move) canInputs[move.player][move.dir] = false;
+});
+
+// Let go of everything (a new round, or the window lost focus mid-press)
+function releaseCanInputs() {
+  canInputs.forEach((input) => {
+    input.left = false;
+    input.right = false;
+    input.tapped = null;
+    input.dir = 0;
+    input.speed = 0;
+  });
+}
+window.addEventListener('blur', releaseCanInputs);
+
+// Once per game-loop step: move each can by its held keys or stick
+function applyHeldControls() {
+  canInputs.forEach((input, player) => {
+    if (player === 1 && !twoPlayer) return;
+    let dir = (input.right || input.tapped === 'right' ? 1 : 0) - (input.left || input.tapped === 'left' ? 1 : 0);
+    let strength = 1;
+    if (!dir && Math.abs(input.stick) > STICK_DEADZONE) {
+      // a half-pushed stick moves at half speed
+      dir = Math.sign(input.stick);
+      strength = Math.abs(input.stick);
+    }
+    input.tapped = null;
+    // Stopping or turning around starts the speed-up again
+    if (dir !== input.dir) input.speed = 0;
+    input.dir = dir;
+    if (!dir) return;
+    const scale = controls.speed;
+    input.speed = input.speed
+      ? Math.min(CAN_MAX_SPEED * scale, input.speed + CAN_ACCELERATION * scale * STEP_MS)
+      : CAN_START_SPEED * scale;
+    const distance = dir * input.speed * strength * STEP_MS;
+    if (player === 0) moveCanTo(canX + distance);
+    else moveCan2To(can2X + distance);
+  });
+}
+
+// ---- Gamepads ----
+// Pads are read with the Gamepad API while at least one is connected: the
+// first pad drives player one and the second player two. The left stick or
+// d-pad moves, A starts a round (or plays again, or resumes) and Start pauses.
+const PAD_A = 0;
+const PAD_START = 9;
+const PAD_LEFT = 14;
+const PAD_RIGHT = 15;
+let padLoop = null;          // requestAnimationFrame id while polling
+const padPressed = [{}, {}]; // buttons held last poll, so a press only counts once
+
+function connectedPads() {
+  if (!navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads()).filter(Boolean).slice(0, 2);
+}
+
+// True the first poll a button is down
+function padJustPressed(padIndex, pad, button) {
+  const down = !!(pad.buttons[button] && pad.buttons[button].pressed);
+  const wasDown = padPressed[padIndex][button];
+  padPressed[padIndex][button] = down;
+  return down && !wasDown;
+}
+
+// A: the same as the main button on whatever screen is showing
+function padConfirm() {
+  if (gameRunning) {
+    if (gamePaused) resumeGame();
+  } else if (!overlay.classList.contains('hidden')) {
+    playAgainBtn.click();
+  } else if (!document.querySelector('.panel-overlay:not(.hidden)')) {
+    startGame();
+  }
+}
+
+function pollGamepads() {
+  const pads = connectedPads();
+  pads.forEach((pad, i) => {
+    // The d-pad wins over the stick when both are used
+    let stick = pad.axes[0] || 0;
+    if (pad.buttons[PAD_LEFT] && pad.buttons[PAD_LEFT].pressed) stick = -1;
+    if (pad.buttons[PAD_RIGHT] && pad.buttons[PAD_RIGHT].pressed) stick = 1;
+    canInputs[i].stick = stick;
+    if (padJustPressed(i, pad, PAD_A)) padConfirm();
+    if (padJustPressed(i, pad, PAD_START) && gameRunning) togglePause();
+  });
+  padLoop = pads.length ? requestAnimationFrame(pollGamepads) : null;
+}
+
+function renderGamepadStatus() {
+  if (!gamepadStatus) return;
+  const count = connectedPads().length;
+  gamepadStatus.textContent = count ? t('controls.gamepads', { count: count }) : t('controls.noGamepad');
+}
+
+window.addEventListener('gamepadconnected', () => {
+  renderGamepadStatus();
+  if (padLoop === null) padLoop = requestAnimationFrame(pollGamepads);
+});
+window.addEventListener('gamepaddisconnected', () => {
+  canInputs.forEach((input) => { input.stick = 0; });
+  renderGamepadStatus();
+});
+
+// ---- Settings panel ----
+// Key buttons show the current key; clicking one waits for the next key
+// press (Escape cancels). A key that another action already uses is swapped
+// over to that action, so two actions never share a key.
+function renderControls() {
+  keyButtons.forEach((btn) => {
+    const action = btn.dataset.action;
+    btn.textContent = rebindingAction === action ? t('controls.pressKey') : keyLabel(controls.keys[action]);
+    btn.classList.toggle('waiting', rebindingAction === action);
+  });
+  if (moveSpeedInput) moveSpeedInput.value = Math.round(controls.speed * 100);
+  if (moveSpeedValue) moveSpeedValue.textContent = `${Math.round(controls.speed * 100)}%`;
+  if (mouseFollowToggle) mouseFollowToggle.checked = controls.mouseFollow;
+  // The keyboard hints mention the current keys
+  const keyboardHint = document.getElementById('keyboard-hint');
+  const pauseHint = document.getElementById('pause-hint');
+  const labels = {
+    start: keyLabel(controls.keys.start),
+    left: keyLabel(controls.keys.left),
+    right: keyLabel(controls.keys.right),
+    pause: keyLabel(controls.keys.pause)
+  };
+  if (keyboardHint) keyboardHint.textContent = t('a11y.hint', labels);
+  if (pauseHint) pauseHint.textContent = t('pause.hint', labels);
+  renderGamepadStatus();
+}
+
+function bindKey(action, key) {
+  const other = Object.keys(controls.keys).find((name) => name !== action && keyName(controls.keys[name]) === keyName(key));
+  if (other) controls.keys[other] = controls.keys[action];
+  controls.keys[action] = keyName(key);
+  saveControls();
+}
+
+// Runs before every other key handler while a key button is waiting
+window.addEventListener('keydown', (e) => {
+  if (!rebindingAction) return;
+  e.preventDefault();
+  e.stopPropagation();
+  // Tab and Escape keep their usual jobs, so they can't be bound
+  if (e.key !== 'Escape' && e.key !== 'Tab') bindKey(rebindingAction, e.key);
+  rebindingAction = null;
+  renderControls();
+}, true);
+
+keyButtons.forEach((btn) => {
+  btn.addEventListener('click', () => {
+    rebindingAction = btn.dataset.action;
+    renderControls();
+  });
+});
+
+if (moveSpeedInput) {
+  moveSpeedInput.addEventListener('input', () => {
+    controls.speed = Number(moveSpeedInput.value) / 100;
+    saveControls();
+    renderControls();
+  });
+}
+if (mouseFollowToggle) {
+  mouseFollowToggle.addEventListener('change', () => {
+    controls.mouseFollow = mouseFollowToggle.checked;
+    saveControls();
+  });
+}
+if (controlsResetBtn) {
+  controlsResetBtn.addEventListener('click', () => {
+    localStorage.removeItem(CONTROLS_KEY);
+    controls = loadControls();
+    rebindingAction = null;
+    renderControls();
+  });
+}
+
+// =======
+// Themes
+// =======
+// A theme is a look for the whole page, defined in themes/themes.json as
+// { id: theme }. Each theme has:
+// - labelKey (or label): its name in the picker
+// - sprites: image paths for drop types ("good", "bad" or a power-up name)
+//   and the "can". Power-ups without their own sprite use the good drop's,
+//   with their usual tint from styles.css.
+// - palette: CSS custom properties set on <html> (see :root in styles.css)
+// - confetti: { colors, shape: 'circle' or 'square', count } for a win
+// The picker switches themes straight away and the choice is saved in
+// localStorage. Until the manifest has loaded (or if it can't, e.g. when
+// index.html is opened as a file), the page keeps the default look from styles.css.
+const THEME_KEY = 'wd_theme';
+const THEMES_URL = 'themes/themes.json';
+const themeSelect = document.getElementById('theme-select');
+let themes = { default: { labelKey: 'themes.default', sprites: {}, palette: {}, confetti: {} } };
+let themeId = localStorage.getItem(THEME_KEY) || 'default';
+let activeTheme = themes.default;
+
+// Built-in themes are translated; a theme added to the manifest can just use a label
+function themeLabel(id) {
+  const theme = themes[id];
+  return theme.labelKey ? t(theme.labelKey) : (theme.label || id);
+}
+
+function renderThemeOptions() {
+  if (!themeSelect) return;
+  themeSelect.innerHTML = '';
+  Object.keys(themes).forEach((id) => themeSelect.appendChild(new Option(themeLabel(id), id)));
+  themeSelect.value = themeId;
+}
+
+// The image a drop type uses in the current theme
+function dropSprite(typeName) {
+  const sprites = activeTheme.sprites || {};
+  const type = dropTypes[typeName];
+  return sprites[typeName] || (type.good && sprites.good) || type.image;
+}
+
+function applyTheme(id) {
+  themeId = themes[id] ? id : 'default';
+  const theme = themes[themeId];
+  const root = document.documentElement;
+  // Remove the old theme's colours first so none are left behind
+  Object.keys(activeTheme.palette || {}).forEach((name) => root.style.removeProperty(name));
+  Object.keys(theme.palette || {}).forEach((name) => root.style.setProperty(name, theme.palette[name]));
+  root.dataset.theme = themeId;
+  activeTheme = theme;
+
+  // Swap the pictures already on the page: cans, title drops and falling drops
+  const canSprite = (theme.sprites && theme.sprites.can) || 'img/water-can-transparent.png';
+  [waterCan, waterCan2].forEach((can) => {
+    if (can) setDropImage(can, canSprite);
+  });
+  const titleDrop = document.querySelector('.game-title-drop');
+  const titleBadDrop = document.querySelector('.game-title-bad-drop');
+  if (titleDrop) setDropImage(titleDrop, dropSprite('good'));
+  if (titleBadDrop) setDropImage(titleBadDrop, dropSprite('bad'));
+  activeDrops.forEach((drop) => setDropImage(drop.el, dropSprite(drop.typeName)));
+  if (themeSelect) themeSelect.value = themeId;
+}
+
+// Read the theme manifest, then apply the saved theme
+function loadThemes() {
+  return fetch(THEMES_URL)
+    .then((response) => response.json())
+    .then((manifest) => {
+      if (!manifest || !manifest.default) return;
+      themes = manifest;
+      renderThemeOptions();
+      applyTheme(themeId);
+    })
+    .catch(() => {
+      // no manifest: keep the default look
+    });
+}
+
+if (themeSelect) {
+  themeSelect.addEventListener('change', () => {
+    applyTheme(themeSelect.value);
+    localStorage.setItem(THEME_KEY, themeId);
+  });
+}
+
+loadThemes();
+
+// ===================
+// Resume After Reload
+// ===================
+// A reload (or following the Donate link by accident) would throw the round
+// away, so the running round is copied to sessionStorage once a game second,
+// when the tab is hidden and on pagehide. sessionStorage belongs to this tab
+// only and is emptied when the tab closes. The snapshot holds everything
+// startGame() and stepGame() change: the mode, seed and how many random
+// numbers were drawn, scores, clocks, streak, effects, weather and each
+// falling drop with its position, speed and remaining fall time.
+// The recorded inputs (so the finished round still makes a working replay)
+// grow all round, so the once-a-second save leaves them out; hiding the tab
+// and pagehide save them too. If only a once-a-second save survived, the
+// round still resumes but won't offer a replay.
+// On the next load the page offers to bring the round back, paused.
+// Snapshots from another GAME_VERSION (see version.js) or REPLAY_VERSION,
+// or older than SNAPSHOT_MAX_AGE, are thrown away instead.
+const SNAPSHOT_KEY = 'wd_round_snapshot';
+const SNAPSHOT_MAX_AGE = 30 * 60 * 1000; // 30 minutes
+const resumePanel = document.getElementById('resume-panel');
+const resumeSummaryEl = document.getElementById('resume-summary');
+const resumeRoundBtn = document.getElementById('resume-round-btn');
+const discardRoundBtn = document.getElementById('discard-round-btn');
+let pendingSnapshot = null; // snapshot waiting for the player's answer
+
+// Save the running round (replays and finished rounds are never saved).
+// withEvents adds the recorded inputs (see above).
+function saveSnapshot(withEvents) {
+  if (!gameRunning || replayData) return;
+  const snapshot = {
+    version: GAME_VERSION,
+    replayVersion: REPLAY_VERSION,
+    savedAt: Date.now(),
+    modeId: difficulty,
+    mode: currentMode,
+    seed: runSeed,
+    rngDraws: rngDraws,
+    speed: runSpeed,
+    players: twoPlayer ? 2 : 1,
+    dailyPractice: dailyPractice,
+    score: score,
+    score2: score2,
+    timeLeft: timeLeft,
+    lives: lives,
+    survivalSeconds: survivalSeconds,
+    survivalTier: survivalTier,
+    spawnInterval: spawnInterval,
+    milestoneBadIncrease: milestoneBadIncrease,
+    nextMilestoneIndex: nextMilestoneIndex,
+    stepCount: stepCount,
+    simTime: simTime,
+    nextSpawnAt: nextSpawnAt,
+    nextTickAt: nextTickAt,
+    spawning: spawning,
+    nextDropId: nextDropId,
+    spawnCount: spawnCount,
+    canX: canX,
+    can2X: can2X,
+    canWidth: canWidth,
+    streak: streak,
+    runStats: runStats,
+    effects: activeEffects,
+    // JSON has no Infinity, so "no weather planned" is saved as null
+    weather: weather,
+    nextWeatherAt: Number.isFinite(nextWeatherAt) ? nextWeatherAt : null,
+    weatherCount: weatherCount,
+    events: withEvents && !eventsLost ? recordedEvents : null,
+    drops: activeDrops.map((drop) => ({
+      id: drop.id,
+      typeName: drop.typeName,
+      x: drop.x,
+      y: drop.y,
+      size: drop.size,
+      points: drop.points,
+      warned: !!drop.warned,
+      speed: drop.speed,
+      // ms until the drop falls off the bottom at its current speed
+      fallMs: (gameHeight - drop.y) / drop.speed
+    }))
+  };
+  try {
+    sessionStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+  } catch (e) {
+    // Storage full or blocked (never stop the game for it): a long input log
+    // may not fit, so try again without it, otherwise drop the save
+    if (snapshot.events) saveSnapshot(false);
+    else clearSnapshot();
+  }
+}
+
+function clearSnapshot() {
+  try {
+    sessionStorage.removeItem(SNAPSHOT_KEY);
+  } catch (e) {
+    // storage blocked: nothing was saved anyway
+  }
+}
+
+// Read the saved round, or null if there is none or it can't be used
+function loadSnapshot() {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(sessionStorage.getItem(SNAPSHOT_KEY));
+  } catch (e) {
+    // broken save: treated like no save
+  }
+  if (!snapshot || snapshot.version !== GAME_VERSION || snapshot.replayVersion !== REPLAY_VERSION) return null;
+  // Too old (or saved "in the future" by a changed clock)
+  const age = Date.now() - snapshot.savedAt;
+  if (!(age >= 0 && age <= SNAPSHOT_MAX_AGE)) return null;
+  // The mode, seed and inputs have the same shape as a replay's
+  const replayShape = { version: snapshot.replayVersion, seed: snapshot.seed, score: snapshot.score, modeId: snapshot.modeId, mode: snapshot.mode, events: snapshot.events || [] };
+  if (!isValidReplay(replayShape)) return null;
+  // Rebuilt like a replay file's mode: the saved copy may have been edited
+  snapshot.mode = cleanReplayMode(snapshot.mode);
+  if (!snapshot.mode) return null;
+  const numbers = ['rngDraws', 'timeLeft', 'stepCount', 'simTime', 'nextSpawnAt', 'nextTickAt', 'spawnInterval', 'canX', 'can2X', 'canWidth'];
+  if (!numbers.every((key) => Number.isFinite(snapshot[key]))) return null;
+  if (!Array.isArray(snapshot.drops) || !snapshot.runStats || !snapshot.effects) return null;
+  const dropsOk = snapshot.drops.every((drop) => dropTypes[drop.typeName]
+    && [drop.x, drop.y, drop.size, drop.points, drop.speed].every(Number.isFinite) && drop.speed > 0);
+  const effectsOk = Object.keys(snapshot.effects).every((name) => effectDefs[name]);
+  const weatherOk = !snapshot.weather || weatherDefs[snapshot.weather.name];
+  return dropsOk && effectsOk && weatherOk ? snapshot : null;
+}
+
+// Put a saved round back on the field, paused, exactly where it stopped
+function restoreSnapshot(snapshot) {
+  resetRound();
+  useModeSettings(snapshot.modeId, snapshot.mode);
+  runSeed = snapshot.seed;
+  runSpeed = Number.isFinite(snapshot.speed) ? snapshot.speed : 1;
+  twoPlayer = snapshot.players === 2;
+  dailyPractice = !!snapshot.dailyPractice;
+  // Rewind the generator by drawing the same numbers again
+  rng = createRng(runSeed);
+  for (let i = 0; i < snapshot.rngDraws; i++) rng();
+  rngDraws = snapshot.rngDraws;
+  releaseCanInputs();
+
+  // Scores and clocks
+  score = snapshot.score;
+  score2 = snapshot.score2 || 0;
+  timeLeft = snapshot.timeLeft;
+  lives = snapshot.lives;
+  survivalSeconds = snapshot.survivalSeconds;
+  survivalTier = snapshot.survivalTier;
+  spawnInterval = snapshot.spawnInterval;
+  milestoneBadIncrease = snapshot.milestoneBadIncrease;
+  nextMilestoneIndex = snapshot.nextMilestoneIndex;
+  stepCount = snapshot.stepCount;
+  simTime = snapshot.simTime;
+  nextSpawnAt = snapshot.nextSpawnAt;
+  nextTickAt = snapshot.nextTickAt;
+  spawning = snapshot.spawning;
+  nextDropId = snapshot.nextDropId;
+  spawnCount = snapshot.spawnCount;
+  recordedEvents = snapshot.events || [];
+  eventsLost = !snapshot.events;
+  scoreEl.textContent = score;
+  if (score2El) score2El.textContent = score2;
+  timeEl.textContent = currentMode.survival ? survivalSeconds : timeLeft;
+  if (winGoalEl) winGoalEl.textContent = currentMode.survival ? '—' : winScore;
+  setDifficultyBadge(difficulty);
+  renderLives();
+  lastAnnouncedScore = score;
+
+  // Streak, stats and the cans
+  streak = snapshot.streak;
+  runStats = snapshot.runStats;
+  applyPlayerLayout();
+  Object.keys(snapshot.effects).forEach((name) => startEffect(name));
+  activeEffects = snapshot.effects;
+  canWidth = snapshot.canWidth;
+  canX = snapshot.canX;
+  can2X = snapshot.can2X;
+  renderCan();
+
+  // Weather
+  weather = snapshot.weather;
+  nextWeatherAt = snapshot.nextWeatherAt === null ? Infinity : snapshot.nextWeatherAt;
+  weatherCount = snapshot.weatherCount;
+  if (weather) gameContainer.classList.add(`weather-${weather.name}`);
+  renderEffects();
+
+  // Drops keep their saved speed, so the rest of the round plays out the same
+  snapshot.drops.forEach((saved) => {
+    addDrop({
+      id: saved.id,
+      el: acquireDropElement(),
+      x: saved.x,
+      y: saved.y,
+      size: saved.size,
+      speed: saved.speed,
+      type: dropTypes[saved.typeName],
+      typeName: saved.typeName,
+      points: saved.points,
+      warned: saved.warned
+    });
+  });
+  renderDrops();
+
+  // Running, but paused until the player is ready
+  gameRunning = true;
+  startBtn.disabled = true;
+  if (pauseBtn) pauseBtn.disabled = false;
+  pauseGame();
+  saveSnapshot(true);
+}
+
+// "Mode · Score · time" line for the offer
+function snapshotSummary(snapshot) {
+  const scoreText = snapshot.players === 2 ? `${snapshot.score}–${snapshot.score2}` : snapshot.score;
+  const time = snapshot.mode.survival
+    ? t('resume.survived', { time: formatSurvivalTime(snapshot.survivalSeconds) })
+    : t('resume.timeLeft', { seconds: snapshot.timeLeft });
+  return t('resume.summary', { mode: modeLabel(snapshot.mode), score: scoreText, time: time });
+}
+
+function showResumeOffer(snapshot) {
+  pendingSnapshot = snapshot;
+  resumeSummaryEl.textContent = snapshotSummary(snapshot);
+  resumePanel.classList.remove('hidden');
+  resumePanel.setAttribute('aria-hidden', 'false');
+  resumeRoundBtn.focus();
+}
+
+function hideResumeOffer() {
+  pendingSnapshot = null;
+  resumePanel.classList.add('hidden');
+  resumePanel.setAttribute('aria-hidden', 'true');
+}
+
+// "Start over" (or Escape) forgets the saved round
+function discardSnapshot() {
+  hideResumeOffer();
+  clearSnapshot();
+  startBtn.focus();
+}
+
+if (resumePanel) {
+  resumeRoundBtn.addEventListener('click', () => {
+    const snapshot = pendingSnapshot;
+    hideResumeOffer();
+    restoreSnapshot(snapshot);
+  });
+  discardRoundBtn.addEventListener('click', discardSnapshot);
+  resumePanel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') discardSnapshot();
+  });
+  trapFocus(resumePanel);
+
+  // Offer the saved round, or tidy away one that can't be used
+  const savedRound = loadSnapshot();
+  if (savedRound) showResumeOffer(savedRound);
+  else clearSnapshot();
+}
+
+// Last chance to save before the page goes away (reload, link, closing the tab)
+window.addEventListener('pagehide', () => saveSnapshot(true));
+
+// =========
+// Language
+// =========
+const languageSelect = document.getElementById('language-select');
+
+// Put the current language's text into every tagged element in index.html
+function applyTranslations() {
+  document.documentElement.lang = language;
+  document.title = t('page.title');
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+  });
+  document.querySelectorAll('[data-i18n-alt]').forEach((el) => {
+    el.alt = t(el.dataset.i18nAlt);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+}
+
+// Switch language, remember it, and redraw everything that JavaScript writes
+function setLanguage(code) {
+  language = catalogs[code] ? code : 'en';
+  localStorage.setItem(LANGUAGE_KEY, language);
+  if (languageSelect) languageSelect.value = language;
+  applyTranslations();
+  renderModeOptions();
+  renderSoundControls();
+  renderEffects();
+  renderStreak();
+  if (pauseBtn) pauseBtn.textContent = t(gamePaused ? 'buttons.resume' : 'buttons.pause');
+  if (leaderboardEl && !leaderboardEl.classList.contains('hidden')) renderLeaderboard();
+  if (trophyCase && !trophyCase.classList.contains('hidden')) renderTrophyCase();
+  if (statsPanel && !statsPanel.classList.contains('hidden')) renderStatsPanel();
+  renderImpact();
+  renderClassroomPlayer();
+  renderThemeOptions();
+  renderControls();
+}
+
+if (languageSelect) {
+  Object.keys(languageNames).forEach((code) => {
+    languageSelect.appendChild(new Option(languageNames[code], code));
+  });
+  languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+}
+
+setLanguage(language);
@@ -0,0 +1,83 @@
+// -----------------------------
+// Water Drop Game – Service Worker
+// -----------------------------
+// Keeps a copy of every file the game needs so it starts with no network
+// (outdoor events often have none). The sounds are made in the browser, so
+// there are no audio files to cache.
+// - Game files: served from the cache first
+// - Google Fonts: cached the first time they load online, then reused
+//   (styles.css has a local fallback for when they never loaded)
+// The cache is named after GAME_VERSION from version.js. Change it there
+// whenever a game file changes: players' browsers will download the new
+// files and the page offers a "Reload" to switch over.
+importScripts('version.js');
+const CACHE_VERSION = GAME_VERSION;
+const FONT_CACHE = 'water-drop-fonts';
+const PRECACHE_FILES = [
+  './',
+  'index.html',
+  'version.js',
+  'script.js',
+  'styles.css',
+  'manifest.webmanifest',
+  'themes/themes.json',
+  'img/icon.svg',
+  'img/Drop.png',
+  'img/Bad_Drop.png',
+  'img/cw_logo.png',
+  'img/cw_logo-horizontal.png',
+  'img/water-can-transparent.png',
+  'img/water-can.png',
+  'img/themes/high-contrast-drop.svg',
+  'img/themes/high-contrast-bad-drop.svg'
+];
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Download everything up front
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_VERSION).then((cache) => cache.addAll(PRECACHE_FILES)));
+});
+
+// A new version waits until the page says it's OK to take over (see the
+// update banner in script.js), so a round in progress is never swapped out
+self.addEventListener('message', (event) => {
+  if (event.data === 'skip-waiting') self.skipWaiting();
+});
+
+// Remove caches from older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key !== CACHE_VERSION && key !== FONT_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Fonts: answer from the cache, and refresh the cache when online
+  if (FONT_ORIGINS.includes(url.origin)) {
+    event.respondWith(caches.open(FONT_CACHE).then((cache) => cache.match(request).then((cached) => {
+      const fresh = fetch(request)
+        .then((response) => {
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached || Response.error());
+      return cached || fresh;
+    })));
+    return;
+  }
+
+  // Game files: cache first. The query string is ignored so share links
+  // (index.html?mode=...) still open offline.
+  if (url.origin !== self.location.origin) return;
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => cached || fetch(request))
+  );
+});
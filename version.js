@@ -0,0 +1,9 @@
+// -----------------------------
+// Water Drop Game – Version
+// -----------------------------
+// One version for the whole game, read by both index.html and sw.js.
+// Change it whenever any game file changes:
+// - sw.js names its offline cache after it, so players get the new files
+// - a round saved before a reload is only resumed by the same version
+//   (see "Resume After Reload" in script.js)
+const GAME_VERSION = 'water-drop-v6';